@@ -0,0 +1,86 @@
+// PrecisionFDA AI Agent - Answer cache (server side)
+// Remembers cited answers to opening questions so a repeated question ("Do I need to
+// register my cosmetic facility?") is answered instantly instead of running the assistant
+// again. Entries are keyed on the normalized question, who answers (the provider's scope:
+// its assistant or model) and the guidance corpus version, so re-ingesting the guidance
+// (npm run ingest) invalidates them.
+
+const { getIndexVersion } = require('./retrieval');
+
+// How long an answer is reused (override with ANSWER_CACHE_TTL_MS; 0 disables the cache)
+const CACHE_TTL_MS = Number(process.env.ANSWER_CACHE_TTL_MS ?? 24 * 60 * 60 * 1000);
+
+// Oldest entries are dropped beyond this many answers
+const MAX_ENTRIES = 500;
+
+// Cache entries by key, oldest first: { version, cachedAt, result }
+const entries = new Map();
+
+// -----------------------------------------------------
+// Function: normalizeQuestion()
+// Purpose: Reduce a question to lower-case words separated by single spaces, so questions
+//          that differ only in case, punctuation or spacing share a cache entry. Words are
+//          letters, combining marks and digits of any script ("café", "регистрация", "登録"),
+//          compared in Unicode NFKC form.
+// -----------------------------------------------------
+const normalizeQuestion = (question) =>
+  String(question)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim();
+
+// Corpus version of the guidance index ('none' before the first ingest)
+const getCorpusVersion = () => getIndexVersion() || 'none';
+
+// Cache key of a question, or null for a question without any words (never cached)
+const getKey = (question, scope) => {
+  const normalized = normalizeQuestion(question);
+  return normalized ? `${getCorpusVersion()}:${scope}:${normalized}` : null;
+};
+
+// -----------------------------------------------------
+// Function: pruneCache()
+// Purpose: Drop expired entries and entries for an older corpus version.
+// -----------------------------------------------------
+const pruneCache = () => {
+  const version = getCorpusVersion();
+  const now = Date.now();
+  entries.forEach((entry, key) => {
+    if (entry.version !== version || now - entry.cachedAt > CACHE_TTL_MS) entries.delete(key);
+  });
+};
+
+// -----------------------------------------------------
+// Function: getCachedAnswer()
+// Purpose: Return the cached result for a question, with the time it was cached
+//          ({ ...result, cachedAt }), or null when there is no fresh entry.
+// -----------------------------------------------------
+const getCachedAnswer = (question, scope) => {
+  const key = getKey(question, scope);
+  if (CACHE_TTL_MS <= 0 || !key) return null;
+  pruneCache();
+  const entry = entries.get(key);
+  return entry ? { ...entry.result, cachedAt: entry.cachedAt } : null;
+};
+
+// -----------------------------------------------------
+// Function: cacheAnswer()
+// Purpose: Remember the result of a question. Only answers with citations are cached, so
+//          uncited (and failed) answers are always asked again.
+// -----------------------------------------------------
+const cacheAnswer = (question, scope, result) => {
+  const key = getKey(question, scope);
+  if (CACHE_TTL_MS <= 0 || !key || !result.citations?.length) return;
+  entries.delete(key);
+  entries.set(key, { version: getCorpusVersion(), cachedAt: Date.now(), result });
+  if (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+module.exports = {
+  cacheAnswer,
+  getCachedAnswer,
+  normalizeQuestion,
+};
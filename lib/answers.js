@@ -0,0 +1,80 @@
+// PrecisionFDA AI Agent - Structured answers (server side)
+// The assistant is asked to answer with a JSON object (insight, cited sections, confidence,
+// notes). Answers are validated against ANSWER_SCHEMA; anything that does not match is
+// passed on as plain text so the widget can still show it.
+
+const Ajv = require('ajv');
+
+// -----------------------------------------------------
+// ANSWER_SCHEMA
+// insight:    the answer itself, in markdown, with the assistant's citation markers
+// sections:   the guidance sections the answer relies on, with their page numbers
+// confidence: how well the guidance supports the answer, as a percentage (0-100)
+// notes:      caveats or follow-up advice (may be empty)
+// -----------------------------------------------------
+const ANSWER_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['insight', 'sections', 'confidence', 'notes'],
+  properties: {
+    insight: { type: 'string', minLength: 1 },
+    sections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['section', 'page'],
+        properties: {
+          section: { type: 'string', minLength: 1 },
+          page: { type: ['integer', 'null'], minimum: 1 },
+        },
+      },
+    },
+    confidence: { type: 'number', minimum: 0, maximum: 100 },
+    notes: { type: 'string' },
+  },
+};
+
+const validateAnswer = new Ajv({ allErrors: true }).compile(ANSWER_SCHEMA);
+
+// Run instructions asking for the structured format ("insight" first, so the widget can
+// show it while the rest of the object is still streaming in)
+const ANSWER_FORMAT_INSTRUCTIONS = [
+  'Respond with a single JSON object and nothing else (no code fences), with these keys in this order:',
+  '"insight": your answer in markdown, keeping your usual source citations;',
+  '"sections": the guidance sections the answer relies on, as [{ "section": "<title>", "page": <page number or null> }];',
+  '"confidence": how well the guidance supports the answer, as a number from 0 to 100;',
+  '"notes": caveats or follow-up advice, or an empty string.',
+].join('\n');
+
+// -----------------------------------------------------
+// Function: readAnswer()
+// Purpose: Parse and validate the assistant's reply. Returns { answer, structured }:
+//          structured is the validated object (or null), and answer is the text to show
+//          (the insight of a structured answer, otherwise the reply as written).
+// -----------------------------------------------------
+const readAnswer = (text) => {
+  const json = String(text || '')
+    .trim()
+    .replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1');
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    return { answer: text, structured: null };
+  }
+
+  if (validateAnswer(parsed)) {
+    return { answer: parsed.insight, structured: parsed };
+  }
+  console.warn('Assistant answer does not match the answer schema:', JSON.stringify(validateAnswer.errors));
+  // Keep the insight of a near-miss rather than showing raw JSON
+  const insight = parsed && typeof parsed.insight === 'string' && parsed.insight.trim();
+  return { answer: insight || text, structured: null };
+};
+
+module.exports = {
+  ANSWER_FORMAT_INSTRUCTIONS,
+  ANSWER_SCHEMA,
+  readAnswer,
+};
@@ -0,0 +1,170 @@
+// PrecisionFDA AI Agent - Assistant conversations (server side)
+// Runs each question through the configured LLM provider (see lib/providers/): retrieves
+// guidance passages, adds the message to the conversation, gets the answer and reads it,
+// so the API key never reaches the browser.
+
+const { getProvider } = require('./providers');
+const { search } = require('./retrieval');
+const { readAnswer } = require('./answers');
+const { cacheAnswer, getCachedAnswer } = require('./answerCache');
+
+// Number of guidance chunks from the local index given to each answer
+const RETRIEVAL_LIMIT = 4;
+
+const provider = getProvider();
+
+// Name of the provider answering (its LLM_PROVIDER value)
+const getProviderName = () => provider.name;
+
+// -----------------------------------------------------
+// Function: isThreadId()
+// Purpose: Check that a client-supplied thread (conversation) ID is one the provider could
+//          have issued, before it is passed on to the provider.
+// -----------------------------------------------------
+const isThreadId = (value) => provider.isConversationId(value);
+
+// Whether the provider accepts attachments
+const supportsUploads = () => Boolean(provider.uploadFile);
+
+// -----------------------------------------------------
+// Function: uploadFile()
+// Purpose: Store a user's attachment with the provider so it can be attached to a message.
+//          Returns { fileId, fileName, bytes }.
+// -----------------------------------------------------
+const uploadFile = (buffer, fileName) => provider.uploadFile(buffer, fileName);
+
+// -----------------------------------------------------
+// Function: downloadOutputFile()
+// Purpose: Download a file the model produced so the widget can show it. Returns
+//          { contentType, data }, or null when the provider has no such file.
+// -----------------------------------------------------
+const downloadOutputFile = async (fileId) =>
+  provider.downloadOutputFile ? provider.downloadOutputFile(fileId) : null;
+
+// -----------------------------------------------------
+// Function: addMessageToThread()
+// Purpose: Add the user's message (and optional attachment) to an existing conversation, or
+//          to a new one when no thread ID is given or the given one no longer exists.
+//          Returns the ID of the conversation the message was added to.
+// -----------------------------------------------------
+const addMessageToThread = async (threadId, message, attachment) => {
+  if (threadId) {
+    try {
+      await provider.sendMessage(threadId, { message, attachment });
+      return threadId;
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      console.warn(`Thread ${threadId} not found, starting a new thread.`);
+    }
+  }
+  const newThreadId = await provider.createConversation();
+  await provider.sendMessage(newThreadId, { message, attachment });
+  return newThreadId;
+};
+
+// -----------------------------------------------------
+// Function: retrieveSources()
+// Purpose: When a local guidance index has been built (npm run ingest), return the chunks
+//          that best match the message. The provider gives them to the model so citations
+//          can be traced to exact pages, and they are returned to the widget as sources.
+// -----------------------------------------------------
+const retrieveSources = (message) =>
+  search(message, { limit: RETRIEVAL_LIMIT }).map(({ id, page, section, text }) => ({ id, page, section, text }));
+
+// Only opening questions without an attachment use the answer cache: follow-ups depend on
+// their conversation and attachments on their file
+const isCacheable = (threadId, attachment) => !threadId && !attachment;
+
+// -----------------------------------------------------
+// Function: replayCachedAnswer()
+// Purpose: Answer from the cache: start a new conversation holding the question and the
+//          cached answer, so follow-up questions keep their context, and return the cached
+//          result for that conversation (with cached: true and cachedAt).
+// -----------------------------------------------------
+const replayCachedAnswer = async (message, cached) => {
+  const threadId = await provider.createConversation([
+    { role: 'user', content: message },
+    { role: 'assistant', content: cached.answer },
+  ]);
+  console.log(`Answered from the cache (cached ${new Date(cached.cachedAt).toISOString()}).`);
+  return { ...cached, threadId, cached: true };
+};
+
+// -----------------------------------------------------
+// Function: answerQuestion()
+// Purpose: The steps shared by askAssistant() and streamAssistant(): answer from the cache
+//          when possible, otherwise add the message to its conversation, have the provider
+//          answer it and read the structured answer, caching the result.
+// -----------------------------------------------------
+const answerQuestion = async ({ message, threadId: existingThreadId, attachment }, { onDelta, onThread, signal }) => {
+  const cacheable = isCacheable(existingThreadId, attachment);
+  const cached = cacheable ? getCachedAnswer(message, provider.getScope()) : null;
+  if (cached) {
+    const result = await replayCachedAnswer(message, cached);
+    onThread?.(result.threadId);
+    return result;
+  }
+
+  const sources = retrieveSources(message);
+  const threadId = await addMessageToThread(existingThreadId, message, attachment);
+  onThread?.(threadId);
+
+  const { text, images, citations, model, assistantId } = await provider.streamAnswer(threadId, {
+    sources,
+    onDelta,
+    signal,
+  });
+  const { answer, structured } = readAnswer(text);
+  const result = {
+    answer: answer || 'No response from assistant.',
+    structured,
+    images,
+    threadId,
+    sources,
+    citations,
+    model,
+    assistantId,
+    cached: false,
+  };
+  if (cacheable) cacheAnswer(message, provider.getScope(), result);
+  return result;
+};
+
+// -------------------------------------------------------------------------------------
+// Function: askAssistant()
+// Purpose: Answers the user's question by:
+//          - Adding the user message to the conversation's thread (creating one if needed).
+//          - Having the provider answer it (with retrieved guidance excerpts) and waiting for
+//            the whole answer (see lib/runs.js for timeouts and other outcomes).
+//          - Reading the structured answer and its citations.
+//          Takes { message, threadId, attachment } and returns
+//          { answer, structured, images, threadId, sources, citations, model, assistantId, cached }
+//          so the caller can continue the same conversation (see lib/citations.js for the
+//          citation format). Repeated opening questions are answered from the answer cache
+//          (cached: true, with cachedAt; see lib/answerCache.js).
+//          structured is the validated answer object, or null when the model did not follow
+//          the answer schema (answer is then its reply as written).
+//          model and assistantId identify what produced the answer.
+//          Aborting the signal stops the answer.
+// -------------------------------------------------------------------------------------
+const askAssistant = (chatRequest, { signal } = {}) => answerQuestion(chatRequest, { signal });
+
+// -------------------------------------------------------------------------------------
+// Function: streamAssistant()
+// Purpose: Same as askAssistant(), but reports the answer text as it arrives through
+//          onDelta(text), and the thread ID through onThread(threadId) as soon as the
+//          message has been added. The deltas are the raw reply (the JSON as it is
+//          written). A cached answer resolves at once, without any deltas.
+// -------------------------------------------------------------------------------------
+const streamAssistant = (chatRequest, { onDelta = () => {}, onThread = () => {}, signal } = {}) =>
+  answerQuestion(chatRequest, { onDelta, onThread, signal });
+
+module.exports = {
+  askAssistant,
+  downloadOutputFile,
+  getProviderName,
+  isThreadId,
+  streamAssistant,
+  supportsUploads,
+  uploadFile,
+};
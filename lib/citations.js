@@ -0,0 +1,137 @@
+// PrecisionFDA AI Agent - Citation resolution (server side)
+// Turns the file_citation annotations of an assistant message into citation entries with
+// the real file name, the quoted passage and, when it can be found in the local guidance
+// index, the page and section it came from. Providers that retrieve passages themselves
+// (see lib/providers/) cite them with the same markers, resolved by citeSources().
+
+const { openaiRequest } = require('./openai');
+const { loadIndex, locateQuote } = require('./retrieval');
+
+// Longest quoted passage returned to the widget
+const MAX_QUOTE_LENGTH = 400;
+
+// Reference markers such as 【4:8†source】 (the second number is the result index)
+const MARKER_PATTERN = /【\d+:(\d+)†[^】]*】/g;
+
+// File names by file ID; files are immutable, so names never need refreshing
+const fileNames = new Map();
+
+// -----------------------------------------------------
+// Function: getFileName()
+// Purpose: Look up (and remember) the file name of an OpenAI file ID.
+// -----------------------------------------------------
+const getFileName = async (fileId) => {
+  if (!fileNames.has(fileId)) {
+    try {
+      const file = await openaiRequest(`/files/${fileId}`);
+      fileNames.set(fileId, file.filename);
+    } catch (error) {
+      console.warn(`Could not look up file ${fileId}:`, error.message);
+      return null;
+    }
+  }
+  return fileNames.get(fileId);
+};
+
+// -----------------------------------------------------
+// Function: getSearchResults()
+// Purpose: List the file_search results of a run, in the order the assistant saw them,
+//          including the text of each result. Reference markers such as 【4:8†source】
+//          point into this list (8 is the result index).
+// -----------------------------------------------------
+const getSearchResults = async (threadId, runId) => {
+  try {
+    const include = encodeURIComponent('step_details.tool_calls[*].file_search.results[*].content');
+    const steps = await openaiRequest(`/threads/${threadId}/runs/${runId}/steps?order=asc&include[]=${include}`);
+    return (steps.data || [])
+      .flatMap((step) => step.step_details?.tool_calls || [])
+      .filter((toolCall) => toolCall.type === 'file_search')
+      .flatMap((toolCall) => toolCall.file_search?.results || []);
+  } catch (error) {
+    console.warn(`Could not list run steps for ${runId}:`, error.message);
+    return [];
+  }
+};
+
+// -----------------------------------------------------
+// Function: trimQuote()
+// Purpose: Collapse whitespace and shorten a quoted passage for display.
+// -----------------------------------------------------
+const trimQuote = (text) => {
+  const quote = String(text || '').replace(/\s+/g, ' ').trim();
+  return quote.length > MAX_QUOTE_LENGTH ? `${quote.slice(0, MAX_QUOTE_LENGTH).trim()}…` : quote;
+};
+
+// -----------------------------------------------------
+// Function: resolveCitations()
+// Purpose: Build one citation entry per distinct reference marker in the annotations:
+//          { marker, fileId, fileName, quote, page, section }.
+//          page and section are null when the passage is not in the local index.
+// -----------------------------------------------------
+const resolveCitations = async ({ threadId, runId, annotations = [] }) => {
+  const fileCitations = annotations.filter((annotation) => annotation.type === 'file_citation');
+  if (!fileCitations.length) return [];
+
+  const needsResults = fileCitations.some((annotation) => !annotation.file_citation?.quote);
+  const searchResults = needsResults && runId ? await getSearchResults(threadId, runId) : [];
+
+  const citations = [];
+  for (const annotation of fileCitations) {
+    if (citations.some((citation) => citation.marker === annotation.text)) continue;
+    const fileId = annotation.file_citation?.file_id || null;
+
+    // Prefer the quote on the annotation; otherwise use the search result the marker points to
+    let quote = annotation.file_citation?.quote;
+    if (!quote) {
+      const resultIndex = Number((annotation.text.match(/【\d+:(\d+)/) || [])[1]);
+      const result =
+        searchResults[resultIndex]?.file_id === fileId
+          ? searchResults[resultIndex]
+          : searchResults.find((candidate) => candidate.file_id === fileId);
+      quote = (result?.content || []).map((part) => part.text || '').join(' ');
+    }
+    quote = trimQuote(quote);
+
+    const location = quote ? locateQuote(quote) : null;
+    citations.push({
+      marker: annotation.text,
+      fileId,
+      fileName: fileId ? await getFileName(fileId) : null,
+      quote,
+      page: location?.page || null,
+      section: location?.section || null,
+    });
+  }
+  return citations;
+};
+
+// -----------------------------------------------------
+// Function: citeSources()
+// Purpose: Build citation entries for the reference markers in an answer that cites passages
+//          given to the model directly: 【0:2†source】 cites sources[2]. Each source is
+//          { text, page, section }; the page and section are looked up in the local index
+//          when the source has none. Markers that point past the sources are ignored.
+// -----------------------------------------------------
+const citeSources = (text, sources = [], fileName = loadIndex()?.index.source || null) => {
+  const citations = [];
+  for (const [marker, resultIndex] of String(text || '').matchAll(MARKER_PATTERN)) {
+    const source = sources[Number(resultIndex)];
+    if (!source || citations.some((citation) => citation.marker === marker)) continue;
+    const quote = trimQuote(source.text);
+    const location = source.page ? source : locateQuote(quote);
+    citations.push({
+      marker,
+      fileId: null,
+      fileName,
+      quote,
+      page: location?.page || null,
+      section: location?.section || null,
+    });
+  }
+  return citations;
+};
+
+module.exports = {
+  citeSources,
+  resolveCitations,
+};
@@ -0,0 +1,71 @@
+// PrecisionFDA AI Agent - Conversation history sync (server side)
+// Keeps a copy of each browser's saved conversations on disk, one JSON file per
+// conversation under data/conversations/<clientId>/, so history survives clearing the
+// browser's storage. The widget remains the source of truth (IndexedDB).
+
+const fs = require('fs');
+const path = require('path');
+
+const CONVERSATIONS_DIR =
+  process.env.CONVERSATIONS_DIR || path.join(__dirname, '..', 'data', 'conversations');
+
+// Client and conversation IDs are generated by the widget (UUIDs); anything else is rejected
+// so an ID can never point outside the conversations directory
+const ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+const isHistoryId = (id) => typeof id === 'string' && ID_PATTERN.test(id);
+
+const clientDir = (clientId) => path.join(CONVERSATIONS_DIR, clientId);
+
+// -----------------------------------------------------
+// Function: listConversations()
+// Purpose: Return all conversations saved for a client, most recently updated first.
+// -----------------------------------------------------
+const listConversations = async (clientId) => {
+  let fileNames;
+  try {
+    fileNames = await fs.promises.readdir(clientDir(clientId));
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const conversations = await Promise.all(
+    fileNames
+      .filter((fileName) => fileName.endsWith('.json'))
+      .map(async (fileName) => JSON.parse(await fs.promises.readFile(path.join(clientDir(clientId), fileName), 'utf8')))
+  );
+  return conversations.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+// -----------------------------------------------------
+// Function: saveConversation()
+// Purpose: Create or replace one conversation. An older copy never overwrites a newer one,
+//          so two tabs syncing the same conversation keep the latest version.
+// -----------------------------------------------------
+const saveConversation = async (clientId, conversation) => {
+  const filePath = path.join(clientDir(clientId), `${conversation.id}.json`);
+  try {
+    const existing = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    if (existing.updatedAt > conversation.updatedAt) return existing;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  await fs.promises.mkdir(clientDir(clientId), { recursive: true });
+  await fs.promises.writeFile(filePath, JSON.stringify(conversation));
+  return conversation;
+};
+
+// -----------------------------------------------------
+// Function: deleteConversation()
+// Purpose: Remove one conversation; deleting one that does not exist is not an error.
+// -----------------------------------------------------
+const deleteConversation = async (clientId, conversationId) => {
+  await fs.promises.rm(path.join(clientDir(clientId), `${conversationId}.json`), { force: true });
+};
+
+module.exports = {
+  deleteConversation,
+  isHistoryId,
+  listConversations,
+  saveConversation,
+};
@@ -0,0 +1,74 @@
+// PrecisionFDA AI Agent - Answer feedback (server side)
+// Appends each "Was this helpful?" response from the widget to a JSONL log (one JSON object
+// per line) together with the question, answer and citations, for answer-quality review.
+
+const fs = require('fs');
+const path = require('path');
+
+const FEEDBACK_LOG_PATH =
+  process.env.FEEDBACK_LOG_PATH || path.join(__dirname, '..', 'data', 'feedback.jsonl');
+
+// Reasons offered when an answer was not helpful; keep in sync with public/widget.js
+const FEEDBACK_REASONS = ['wrong_citation', 'outdated', 'incomplete', 'hallucinated'];
+
+const MAX_COMMENT_LENGTH = 2000;
+
+// Largest question and answer logged, and largest structured answer and citation list (as
+// JSON). The JSON body limit is 5 MB, far more than one answer needs.
+const MAX_QUESTION_LENGTH = 4000;
+const MAX_ANSWER_LENGTH = 50000;
+const MAX_DETAIL_JSON_LENGTH = 100000;
+
+// -----------------------------------------------------
+// Function: readFeedback()
+// Purpose: Validate a feedback body from the widget and keep only the fields that are logged.
+//          Returns the feedback record, or null when the body is invalid.
+// -----------------------------------------------------
+const readFeedback = (body) => {
+  if (!body || (body.rating !== 'yes' && body.rating !== 'no')) return null;
+  if (typeof body.question !== 'string' || typeof body.answer !== 'string') return null;
+  if (body.question.length > MAX_QUESTION_LENGTH || body.answer.length > MAX_ANSWER_LENGTH) return null;
+  // A number too large for a Date (e.g. 1e20) makes an invalid date, which toISOString() throws on
+  const answeredAt = Number.isFinite(body.answeredAt) ? new Date(body.answeredAt) : null;
+  if (answeredAt && !Number.isFinite(answeredAt.getTime())) return null;
+  const reasons = Array.isArray(body.reasons) ? body.reasons : [];
+  if (!reasons.every((reason) => FEEDBACK_REASONS.includes(reason))) return null;
+  const comment = typeof body.comment === 'string' ? body.comment.trim() : '';
+  if (comment.length > MAX_COMMENT_LENGTH) return null;
+  const structured = body.structured && typeof body.structured === 'object' ? body.structured : null;
+  const citations = Array.isArray(body.citations) ? body.citations : [];
+  if (JSON.stringify(structured).length > MAX_DETAIL_JSON_LENGTH) return null;
+  if (JSON.stringify(citations).length > MAX_DETAIL_JSON_LENGTH) return null;
+
+  const optionalString = (value) => (typeof value === 'string' ? value : null);
+  return {
+    rating: body.rating,
+    reasons: [...new Set(reasons)],
+    comment,
+    question: body.question,
+    answer: body.answer,
+    structured,
+    citations,
+    model: optionalString(body.model),
+    assistantId: optionalString(body.assistantId),
+    threadId: optionalString(body.threadId),
+    conversationId: optionalString(body.conversationId),
+    answeredAt: answeredAt ? answeredAt.toISOString() : null,
+  };
+};
+
+// -----------------------------------------------------
+// Function: recordFeedback()
+// Purpose: Append one feedback record to the log, stamped with the time it was received.
+// -----------------------------------------------------
+const recordFeedback = async (feedback) => {
+  await fs.promises.mkdir(path.dirname(FEEDBACK_LOG_PATH), { recursive: true });
+  const record = { receivedAt: new Date().toISOString(), ...feedback };
+  await fs.promises.appendFile(FEEDBACK_LOG_PATH, `${JSON.stringify(record)}\n`);
+};
+
+module.exports = {
+  FEEDBACK_REASONS,
+  readFeedback,
+  recordFeedback,
+};
@@ -0,0 +1,231 @@
+// PrecisionFDA AI Agent - Guidance ingestion (server side)
+// Extracts page text from the guidance PDF, detects section headings and splits each
+// section into overlapping ~500-token chunks that remember their page number.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// The bundled guidance PDF (also served to the citation viewer by server.js)
+const DEFAULT_PDF_PATH = path.resolve(
+  process.env.GUIDANCE_PDF_PATH || path.join(__dirname, '..', 'MERGED_cosmetic_guidances.pdf')
+);
+
+// Chunk sizes are estimated from word counts (roughly 3 words per 4 tokens)
+const CHUNK_TOKENS = 500;
+const OVERLAP_TOKENS = 75;
+const TOKENS_PER_WORD = 4 / 3;
+
+// A line repeated on at least this share of pages is a running header/footer, not content
+const BOILERPLATE_PAGE_SHARE = 0.2;
+
+// Numbered headings such as "III. Policy", "A. Providing a Request", "4.8 Labeling"
+const NUMBERED_HEADING = /^(?:[IVXLC]+\.|[A-Z]\.|\d{1,2}(?:\.\d{1,2})*\.?)\s+\S/;
+
+// Longest section title kept when a heading wraps onto several lines
+const MAX_SECTION_TITLE = 120;
+
+// -----------------------------------------------------
+// Function: loadPdfjs()
+// Purpose: pdf.js only ships as an ES module, so it is imported lazily from CommonJS.
+// -----------------------------------------------------
+const loadPdfjs = () => import('pdfjs-dist/legacy/build/pdf.mjs');
+
+// -----------------------------------------------------
+// Function: groupLines()
+// Purpose: Group a page's text items into lines by their vertical position.
+//          Each line keeps its text, largest font height and the fonts it uses.
+// -----------------------------------------------------
+const groupLines = (items) => {
+  const lines = [];
+  items.forEach((item) => {
+    if (!item.str) return;
+    const y = Math.round(item.transform[5]);
+    let line = lines.find((candidate) => Math.abs(candidate.y - y) <= 2);
+    if (!line) {
+      line = { y, text: '', height: 0, fonts: new Set() };
+      lines.push(line);
+    }
+    line.text += item.str;
+    if (item.str.trim()) {
+      line.height = Math.max(line.height, item.height);
+      line.fonts.add(item.fontName);
+    }
+  });
+  return lines
+    .sort((a, b) => b.y - a.y)
+    .map((line) => ({ ...line, text: line.text.replace(/\s+/g, ' ').trim() }))
+    .filter((line) => line.text);
+};
+
+// -----------------------------------------------------
+// Function: extractPages()
+// Purpose: Read the PDF and return one entry per page: { page, lines, bodyFont, bodyHeight }.
+//          The body font/height is the one used by most characters on the page.
+// -----------------------------------------------------
+const extractPages = async (pdfPath) => {
+  const { getDocument } = await loadPdfjs();
+  const data = new Uint8Array(fs.readFileSync(pdfPath));
+  const doc = await getDocument({ data, verbosity: 0 }).promise;
+
+  const pages = [];
+  for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+    const page = await doc.getPage(pageNumber);
+    const { items } = await page.getTextContent();
+
+    const fontUsage = {};
+    const heightUsage = {};
+    items.forEach((item) => {
+      if (!item.str.trim()) return;
+      fontUsage[item.fontName] = (fontUsage[item.fontName] || 0) + item.str.length;
+      const height = Math.round(item.height);
+      heightUsage[height] = (heightUsage[height] || 0) + item.str.length;
+    });
+    const mostUsed = (usage) => Object.keys(usage).sort((a, b) => usage[b] - usage[a])[0];
+
+    pages.push({
+      page: pageNumber,
+      lines: groupLines(items),
+      bodyFont: mostUsed(fontUsage),
+      bodyHeight: Number(mostUsed(heightUsage)) || 0,
+    });
+    page.cleanup();
+  }
+  await doc.destroy();
+  return pages;
+};
+
+// -----------------------------------------------------
+// Function: isHeading()
+// Purpose: Decide whether a line is a section heading. Headings are short, do not end like
+//          a sentence, and are numbered, set in a larger font, or set entirely in a font
+//          other than the page's body font (typically bold).
+// -----------------------------------------------------
+const isHeading = (line, page) => {
+  const { text } = line;
+  if (text.length < 3 || text.length > 100) return false;
+  if (/[.,;:]$/.test(text) || /^[•o▪!\-–*]\s/.test(text) || /^\d+$/.test(text)) return false;
+  // Table of contents entries ("II. Background ........ 5")
+  if (/\.{4,}|\s\d+$/.test(text)) return false;
+  if (!/[A-Za-z]{3}/.test(text)) return false;
+
+  const largerFont = line.height >= page.bodyHeight + 2;
+  const differentFont = line.fonts.size > 0 && !line.fonts.has(page.bodyFont);
+  return NUMBERED_HEADING.test(text) ? largerFont || differentFont : largerFont;
+};
+
+// -----------------------------------------------------
+// Function: findBoilerplate()
+// Purpose: Find running headers/footers (e.g. "Contains Nonbinding Recommendations")
+//          so they are not indexed as content.
+// -----------------------------------------------------
+const findBoilerplate = (pages) => {
+  const counts = {};
+  pages.forEach(({ lines }) => {
+    new Set(lines.map((line) => line.text)).forEach((text) => {
+      counts[text] = (counts[text] || 0) + 1;
+    });
+  });
+  const threshold = Math.max(3, pages.length * BOILERPLATE_PAGE_SHARE);
+  return new Set(Object.keys(counts).filter((text) => counts[text] >= threshold));
+};
+
+// -----------------------------------------------------
+// Function: splitIntoSections()
+// Purpose: Walk the pages in order and return { page, section, text } segments, starting a
+//          new segment at every heading and every page break. Consecutive heading lines
+//          (headings that wrap onto two lines) are joined into one section title.
+// -----------------------------------------------------
+const splitIntoSections = (pages) => {
+  const boilerplate = findBoilerplate(pages);
+  const segments = [];
+  let section = 'Introduction';
+
+  pages.forEach((page) => {
+    let segment = null;
+    let previousWasHeading = false;
+
+    page.lines.forEach((line) => {
+      if (boilerplate.has(line.text) || /^\d+$/.test(line.text)) return;
+
+      const continuesHeading = previousWasHeading && section.length + line.text.length < MAX_SECTION_TITLE;
+      if (isHeading(line, page) && (!previousWasHeading || continuesHeading)) {
+        section = continuesHeading ? `${section} ${line.text}` : line.text;
+        previousWasHeading = true;
+        segment = null;
+        return;
+      }
+      previousWasHeading = false;
+
+      if (!segment) {
+        segment = { page: page.page, section, lines: [] };
+        segments.push(segment);
+      }
+      segment.lines.push(line.text);
+    });
+  });
+
+  return segments.map(({ page, section: title, lines }) => ({
+    page,
+    section: title,
+    text: lines.join(' ').replace(/(\w)- (\w)/g, '$1$2'),
+  }));
+};
+
+// -----------------------------------------------------
+// Function: chunkSegments()
+// Purpose: Split each segment into chunks of about CHUNK_TOKENS tokens, with OVERLAP_TOKENS
+//          tokens repeated between neighbouring chunks so sentences at a boundary are not lost.
+// -----------------------------------------------------
+const chunkSegments = (segments, { chunkTokens = CHUNK_TOKENS, overlapTokens = OVERLAP_TOKENS } = {}) => {
+  const wordsPerChunk = Math.floor(chunkTokens / TOKENS_PER_WORD);
+  const overlapWords = Math.floor(overlapTokens / TOKENS_PER_WORD);
+  const chunks = [];
+
+  segments.forEach(({ page, section, text }) => {
+    const words = text.split(/\s+/).filter(Boolean);
+    for (let start = 0; start < words.length; start += wordsPerChunk - overlapWords) {
+      chunks.push({
+        id: `p${page}-c${chunks.length + 1}`,
+        page,
+        section,
+        text: words.slice(start, start + wordsPerChunk).join(' '),
+      });
+      if (start + wordsPerChunk >= words.length) break;
+    }
+  });
+  return chunks;
+};
+
+// -----------------------------------------------------
+// Function: buildIndex()
+// Purpose: Run the whole pipeline for one PDF and return the index written to disk.
+//          The version is a hash of the PDF and chunk settings, so it changes whenever the
+//          guidance documents are re-ingested with different content.
+// -----------------------------------------------------
+const buildIndex = async (pdfPath) => {
+  const pages = await extractPages(pdfPath);
+  const chunks = chunkSegments(splitIntoSections(pages));
+  const version = crypto
+    .createHash('sha256')
+    .update(fs.readFileSync(pdfPath))
+    .update(`${CHUNK_TOKENS}:${OVERLAP_TOKENS}`)
+    .digest('hex')
+    .slice(0, 12);
+
+  return {
+    version,
+    source: path.basename(pdfPath),
+    createdAt: new Date().toISOString(),
+    pageCount: pages.length,
+    chunks,
+  };
+};
+
+module.exports = {
+  DEFAULT_PDF_PATH,
+  buildIndex,
+  chunkSegments,
+  isHeading,
+  splitIntoSections,
+};
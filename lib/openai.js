@@ -0,0 +1,187 @@
+// PrecisionFDA AI Agent - OpenAI API client (server side)
+// The API key is read from the environment and only ever sent from the server.
+
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+
+// Rate-limited (429) and server (5xx) responses and network failures are retried up to
+// MAX_RETRIES times, waiting as long as Retry-After asks or else a random ("full jitter")
+// delay of up to RETRY_BASE_DELAY_MS * 2^attempt
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 20000;
+
+// Error types set on errors thrown by openaiFetch(): 'rate_limit' (429), 'server' (5xx),
+// 'network' (no response) and 'request' (any other 4xx). The first three are retried.
+const RETRYABLE_TYPES = ['rate_limit', 'server', 'network'];
+
+// A POST (adding a message, starting a run, uploading a file) is not safe to repeat: after a
+// 5xx or a lost response it may have taken effect, and a retry would post the message twice
+// or start a second run. POSTs are only retried after a 429, which the API rejected without
+// acting on, or when the connection failed before the request was sent (these error codes).
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+const CONNECT_ERROR_CODES = [
+  'ECONNREFUSED',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'UND_ERR_CONNECT_TIMEOUT',
+];
+
+// -----------------------------------------------------
+// Function: getApiKey()
+// Purpose: Read the API key from the environment.
+// -----------------------------------------------------
+const getApiKey = () => {
+  const apiKey = process.env.OPENAI_API_KEY;
+  if (!apiKey) {
+    throw new Error('OPENAI_API_KEY must be set.');
+  }
+  return apiKey;
+};
+
+// -----------------------------------------------------
+// Function: getConfig()
+// Purpose: Read the API key and Assistant ID from environment variables.
+// -----------------------------------------------------
+const getConfig = () => {
+  const apiKey = getApiKey();
+  const assistantId = process.env.OPENAI_ASSISTANT_ID;
+  if (!assistantId) {
+    throw new Error('OPENAI_ASSISTANT_ID must be set.');
+  }
+  return { apiKey, assistantId };
+};
+
+// Wait for `ms`, or reject as soon as the signal aborts
+const delay = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+// -----------------------------------------------------
+// Function: createOpenAIError()
+// Purpose: Build the error for a failed API request. `type` classifies the failure (see
+//          RETRYABLE_TYPES), `status` is the HTTP status (null for network failures),
+//          `retryAfterMs` is the wait the API asked for, if any, and `requestSent` is false
+//          when the connection failed before the request went out. The message is for the
+//          server log only; the API's payload is never passed on to the widget.
+// -----------------------------------------------------
+const createOpenAIError = (message, { status = null, retryAfterMs = null, requestSent = true } = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.retryAfterMs = retryAfterMs;
+  error.requestSent = requestSent;
+  if (status === null) error.type = 'network';
+  else if (status === 429) error.type = 'rate_limit';
+  else if (status >= 500) error.type = 'server';
+  else error.type = 'request';
+  return error;
+};
+
+// -----------------------------------------------------
+// Function: readRetryAfter()
+// Purpose: Read how long a response asks us to wait (retry-after-ms, or Retry-After in
+//          seconds or as an HTTP date). Returns milliseconds, or null when not given.
+// -----------------------------------------------------
+const readRetryAfter = (headers) => {
+  const milliseconds = Number(headers.get('retry-after-ms'));
+  if (milliseconds > 0) return milliseconds;
+  const retryAfter = headers.get('retry-after');
+  if (!retryAfter) return null;
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) return Math.max(seconds, 0) * 1000;
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+// Whether a failed request may be sent again (see IDEMPOTENT_METHODS)
+const isRetryable = (error, method) => {
+  if (!RETRYABLE_TYPES.includes(error.type)) return false;
+  return IDEMPOTENT_METHODS.includes(method) || error.type === 'rate_limit' || !error.requestSent;
+};
+
+// Delay before retry number `attempt` (0-based): Retry-After when given, otherwise full jitter
+const getRetryDelay = (error, attempt) =>
+  Math.min(
+    error.retryAfterMs ?? Math.random() * RETRY_BASE_DELAY_MS * 2 ** attempt,
+    RETRY_MAX_DELAY_MS
+  );
+
+// -----------------------------------------------------
+// Function: openaiFetch()
+// Purpose: Send a request to the OpenAI API (Assistants v2 or Chat Completions) and return
+//          the raw response.
+//          The body is sent as JSON, except FormData bodies which are sent as multipart.
+//          Rate limits, server errors and network failures are retried with backoff (POSTs
+//          only when they cannot have taken effect, see IDEMPOTENT_METHODS); any other
+//          failure (or the last retry) throws an error from createOpenAIError().
+// -----------------------------------------------------
+const openaiFetch = async (path, { method = 'GET', body, signal } = {}) => {
+  const apiKey = getApiKey();
+  const isForm = body instanceof FormData;
+
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    try {
+      const response = await fetch(`${OPENAI_BASE_URL}${path}`, {
+        method,
+        headers: {
+          ...(isForm ? {} : { 'Content-Type': 'application/json' }),
+          Authorization: `Bearer ${apiKey}`,
+          'OpenAI-Beta': 'assistants=v2',
+        },
+        body: body === undefined || isForm ? body : JSON.stringify(body),
+        signal,
+      });
+      if (response.ok) return response;
+
+      const data = await response.json().catch(() => ({}));
+      console.error(`OpenAI ${method} ${path} failed:`, response.status, data);
+      error = createOpenAIError(data?.error?.message || `OpenAI request failed with status ${response.status}`, {
+        status: response.status,
+        retryAfterMs: readRetryAfter(response.headers),
+      });
+    } catch (fetchError) {
+      if (signal?.aborted) throw fetchError;
+      console.error(`OpenAI ${method} ${path} failed:`, fetchError.message);
+      error = createOpenAIError(`Could not reach OpenAI: ${fetchError.message}`, {
+        requestSent: !CONNECT_ERROR_CODES.includes(fetchError.cause?.code),
+      });
+    }
+
+    if (!isRetryable(error, method) || attempt >= MAX_RETRIES) throw error;
+    const wait = getRetryDelay(error, attempt);
+    console.warn(`Retrying OpenAI ${method} ${path} in ${Math.round(wait)} ms (retry ${attempt + 1} of ${MAX_RETRIES}).`);
+    await delay(wait, signal);
+  }
+};
+
+// -----------------------------------------------------
+// Function: openaiRequest()
+// Purpose: Same as openaiFetch(), but returns the parsed JSON body.
+// -----------------------------------------------------
+const openaiRequest = async (path, options) => {
+  const response = await openaiFetch(path, options);
+  return response.json();
+};
+
+module.exports = {
+  MAX_RETRIES,
+  delay,
+  getApiKey,
+  getConfig,
+  getRetryDelay,
+  openaiFetch,
+  openaiRequest,
+  readRetryAfter,
+};
@@ -0,0 +1,55 @@
+// PrecisionFDA AI Agent - LLM providers (server side)
+// Every model backend implements the same interface, so lib/assistant.js can hold a
+// conversation without knowing which one answers. LLM_PROVIDER selects it:
+//   openai-assistants (default)  An OpenAI Assistant and its file_search vector store
+//   openai-chat                  OpenAI Chat Completions with the local guidance index
+//   mock                         Canned answers; no network or API key (for development)
+//
+// A provider is an object with:
+//   name                                  Its LLM_PROVIDER value.
+//   getScope()                            Who answers (the assistant or model), so cached
+//                                         answers are never shared between them.
+//   isConversationId(id)                  Whether a client-supplied conversation ID is well
+//                                         formed (it may still no longer exist).
+//   createConversation(messages?)         Start a conversation, optionally seeded with
+//                                         { role, content } messages. Resolves to its ID.
+//   sendMessage(id, { message, attachment })
+//                                         Add the user's message. Rejects with an error whose
+//                                         status is 404 when the conversation does not exist.
+//   streamAnswer(id, { sources, onDelta, signal })
+//                                         Answer the conversation's last message, given the
+//                                         passages retrieved from the local index. The reply
+//                                         text is reported through onDelta() when one is
+//                                         given. Resolves to { text, images, citations, model,
+//                                         assistantId }, citations as built by lib/citations.js.
+//                                         Failed, stopped or timed-out answers throw run
+//                                         errors (lib/runs.js); aborting the signal stops it.
+//   uploadFile(buffer, fileName)          Optional: accept an attachment for sendMessage().
+//                                         Resolves to { fileId, fileName, bytes }.
+//   downloadOutputFile(fileId)            Optional: a file the model produced, as
+//                                         { contentType, data }, or null.
+
+const PROVIDERS = {
+  'openai-assistants': () => require('./openaiAssistants'),
+  'openai-chat': () => require('./openaiChat'),
+  mock: () => require('./mock'),
+};
+
+const DEFAULT_PROVIDER = 'openai-assistants';
+
+// -----------------------------------------------------
+// Function: getProvider()
+// Purpose: Load the provider named by LLM_PROVIDER. Throws for an unknown name, so a typo
+//          stops the server at startup instead of failing every request.
+// -----------------------------------------------------
+const getProvider = (name = process.env.LLM_PROVIDER || DEFAULT_PROVIDER) => {
+  const loadProvider = PROVIDERS[name];
+  if (!loadProvider) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+  }
+  return loadProvider();
+};
+
+module.exports = {
+  getProvider,
+};
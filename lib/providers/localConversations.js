@@ -0,0 +1,68 @@
+// PrecisionFDA AI Agent - In-memory conversations (server side)
+// Providers without server-side threads (Chat Completions, the mock) keep each
+// conversation's messages here. Conversations live as long as the server process; the
+// oldest are dropped beyond MAX_CONVERSATIONS, and a follow-up to a dropped conversation
+// simply starts a new one.
+
+const crypto = require('crypto');
+
+// Oldest conversations are dropped beyond this many
+const MAX_CONVERSATIONS = 1000;
+
+// Messages kept per conversation ({ role, content }); older turns are dropped first
+const MAX_MESSAGES = 40;
+
+// -----------------------------------------------------
+// Function: createLocalConversations()
+// Purpose: Create a conversation store whose IDs start with `prefix` (e.g. "chat").
+//          Returns { isConversationId, createConversation, sendMessage, getMessages,
+//          addReply } for a provider to build on.
+// -----------------------------------------------------
+const createLocalConversations = (prefix) => {
+  const conversations = new Map();
+
+  // Any safe ID is accepted: one from another provider (or a restarted server) is simply
+  // not found, so its conversation starts over
+  const isConversationId = (value) => typeof value === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(value);
+
+  const getConversation = (conversationId) => {
+    const messages = conversations.get(conversationId);
+    if (!messages) {
+      const error = new Error(`Conversation ${conversationId} not found`);
+      error.status = 404;
+      throw error;
+    }
+    return messages;
+  };
+
+  const addMessage = (conversationId, message) => {
+    const messages = getConversation(conversationId);
+    messages.push(message);
+    if (messages.length > MAX_MESSAGES) messages.splice(0, messages.length - MAX_MESSAGES);
+  };
+
+  const createConversation = async (messages = []) => {
+    const conversationId = `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+    conversations.set(conversationId, messages.map(({ role, content }) => ({ role, content })));
+    if (conversations.size > MAX_CONVERSATIONS) {
+      conversations.delete(conversations.keys().next().value);
+    }
+    return conversationId;
+  };
+
+  const sendMessage = async (conversationId, { message }) => {
+    addMessage(conversationId, { role: 'user', content: message });
+  };
+
+  return {
+    addReply: (conversationId, text) => addMessage(conversationId, { role: 'assistant', content: text }),
+    createConversation,
+    getMessages: (conversationId) => [...getConversation(conversationId)],
+    isConversationId,
+    sendMessage,
+  };
+};
+
+module.exports = {
+  createLocalConversations,
+};
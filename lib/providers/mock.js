@@ -0,0 +1,153 @@
+// PrecisionFDA AI Agent - Mock provider (server side)
+// Replays canned answers so the widget can be developed and tested with no network and no
+// API key (LLM_PROVIDER=mock). Answers are chosen by keywords in the question and are
+// always the same for the same question: structured answers whose insight cites real
+// passages of the guidance PDF with reference markers (【0:1†source】), streamed in small
+// chunks like a real model. Uploads are accepted but never read.
+
+const path = require('path');
+const { delay } = require('../openai');
+const { citeSources } = require('../citations');
+const { DEFAULT_PDF_PATH } = require('../ingest');
+const { createLocalConversations } = require('./localConversations');
+
+// Pause between streamed chunks (override with MOCK_DELAY_MS; 0 streams at once)
+const MOCK_DELAY_MS = Number(process.env.MOCK_DELAY_MS ?? 30);
+
+// Characters per streamed chunk
+const CHUNK_LENGTH = 12;
+
+const MOCK_MODEL = 'mock-1';
+
+// Canned answers, tried in order; the first with a keyword that starts a word of the question
+// is used (so "list" also matches "listing").
+// sources[i] is the passage cited by 【0:i†source】.
+const CANNED_ANSWERS = [
+  {
+    keywords: ['drug'],
+    answer: {
+      insight:
+        'A cosmetic product that is also a drug does not need to be listed under section 607 of the FD&C Act 【0:0†source】, and a facility that only makes such products does not need to register under section 607. These products remain subject to the drug requirements instead.',
+      sections: [{ section: 'G. What if my product is both a drug and a cosmetic product?', page: 152 }],
+      confidence: 85,
+      notes: 'A facility that also makes cosmetic products that are not drugs must still register.',
+    },
+    sources: [
+      {
+        page: 152,
+        section: 'G. What if my product is both a drug and a cosmetic product?',
+        text: 'A cosmetic product that is also a drug is not subject to the listing requirements under section 607 of the FD&C Act. Likewise, a facility that manufactures or processes cosmetic products that are also drugs is not subject to the registration requirement under section 607',
+      },
+    ],
+  },
+  {
+    keywords: ['list'],
+    answer: {
+      insight:
+        'Yes. For **each cosmetic product**, the responsible person must submit a cosmetic product listing to FDA, or make sure one is submitted 【0:0†source】. Small businesses and products that are also drugs are exempt.',
+      sections: [{ section: '2. Product Listing', page: 147 }],
+      confidence: 82,
+      notes: 'Listings must be kept up to date when products change.',
+    },
+    sources: [
+      {
+        page: 147,
+        section: '2. Product Listing',
+        text: 'Section 607(c) of the FD&C Act requires that for each cosmetic product, the responsible person must submit a cosmetic product listing, or ensure such submission is made, except in the following instances',
+      },
+    ],
+  },
+  {
+    keywords: ['regist', 'facilit'],
+    answer: {
+      insight:
+        'Yes. Every person that owned or operated a facility manufacturing or processing cosmetic products for distribution in the United States on December 29, 2022 had to **register each facility by December 29, 2023** 【0:0†source】. Facilities that started later must register within 60 days of starting.',
+      sections: [
+        { section: 'F. When must you register and list under section 607 of the FD&C Act? 1. Registration', page: 151 },
+      ],
+      confidence: 90,
+      notes: 'Small businesses may be exempt from registration.',
+    },
+    sources: [
+      {
+        page: 151,
+        section: 'F. When must you register and list under section 607 of the FD&C Act? 1. Registration',
+        text: 'Every person that, on December 29, 2022, owns or operates a facility that engages in the manufacturing or processing of a cosmetic product for distribution in the United States must register each facility no later than December 29, 2023',
+      },
+    ],
+  },
+];
+
+// Answer for questions no canned answer matches: uncited and low confidence
+const FALLBACK_ANSWER = {
+  answer: {
+    insight:
+      'This is the mock provider, which only knows canned answers about facility registration, product listing and products that are also drugs. Try asking "Do I need to register my cosmetic facility?"',
+    sections: [],
+    confidence: 30,
+    notes: 'Set LLM_PROVIDER to openai-assistants or openai-chat for real answers.',
+  },
+  sources: [],
+};
+
+const conversations = createLocalConversations('mock');
+
+// Mock uploads are numbered so their IDs pass isFileId()
+let uploadCount = 0;
+
+// -----------------------------------------------------
+// Function: uploadFile()
+// Purpose: Accept an attachment without storing it. Returns { fileId, fileName, bytes }.
+// -----------------------------------------------------
+const uploadFile = async (buffer, fileName) => {
+  uploadCount += 1;
+  return { fileId: `file-mock${uploadCount}`, fileName, bytes: buffer.length };
+};
+
+// -----------------------------------------------------
+// Function: findCannedAnswer()
+// Purpose: Pick the canned answer for a question by its keywords.
+// -----------------------------------------------------
+const findCannedAnswer = (question) => {
+  const words = String(question).toLowerCase().split(/[^a-z0-9]+/);
+  const matches = ({ keywords }) => keywords.some((keyword) => words.some((word) => word.startsWith(keyword)));
+  return CANNED_ANSWERS.find(matches) || FALLBACK_ANSWER;
+};
+
+// -----------------------------------------------------
+// Function: streamAnswer()
+// Purpose: Answer the last message of a conversation with its canned answer, reporting the
+//          reply through onDelta() in CHUNK_LENGTH pieces MOCK_DELAY_MS apart. Aborting the
+//          signal stops the reply. Resolves to { text, images, citations, model, assistantId }.
+// -----------------------------------------------------
+const streamAnswer = async (conversationId, { onDelta, signal } = {}) => {
+  const question = conversations.getMessages(conversationId).filter(({ role }) => role === 'user').pop();
+  const { answer, sources } = findCannedAnswer(question?.content || '');
+  const text = JSON.stringify(answer);
+
+  if (onDelta) {
+    for (let start = 0; start < text.length; start += CHUNK_LENGTH) {
+      await delay(MOCK_DELAY_MS, signal);
+      onDelta(text.slice(start, start + CHUNK_LENGTH));
+    }
+  }
+
+  conversations.addReply(conversationId, text);
+  return {
+    text,
+    images: [],
+    citations: citeSources(text, sources, path.basename(DEFAULT_PDF_PATH)),
+    model: MOCK_MODEL,
+    assistantId: null,
+  };
+};
+
+module.exports = {
+  name: 'mock',
+  createConversation: conversations.createConversation,
+  getScope: () => MOCK_MODEL,
+  isConversationId: conversations.isConversationId,
+  sendMessage: conversations.sendMessage,
+  streamAnswer,
+  uploadFile,
+};
@@ -0,0 +1,233 @@
+// PrecisionFDA AI Agent - OpenAI Assistants provider (server side)
+// Answers with an OpenAI Assistant: a conversation is an Assistants v2 thread, and each
+// answer is a run on it, polled or streamed until it completes. The assistant searches its
+// own vector store (file_search); citations come from the run's annotations.
+
+const { getConfig, openaiFetch, openaiRequest } = require('../openai');
+const { readEventStream } = require('../sse');
+const { getUploadType } = require('../uploads');
+const { formatSourcesForPrompt } = require('../retrieval');
+const { resolveCitations } = require('../citations');
+const { ANSWER_FORMAT_INSTRUCTIONS } = require('../answers');
+const { RUN_TIMEOUT_MS, cancelRun, checkRunStatus, createRunError, waitForRun } = require('../runs');
+
+// Purpose of the files the assistant writes (e.g. charts from the code interpreter)
+const OUTPUT_FILE_PURPOSE = 'assistants_output';
+
+// -----------------------------------------------------
+// Function: isConversationId()
+// Purpose: Check that a client-supplied thread ID looks like an OpenAI thread ID
+//          before it is interpolated into an API path.
+// -----------------------------------------------------
+const isConversationId = (value) => typeof value === 'string' && /^thread_[A-Za-z0-9]+$/.test(value);
+
+// -----------------------------------------------------
+// Function: uploadFile()
+// Purpose: Upload a user's attachment to OpenAI so it can be attached to a thread message.
+//          Returns { fileId, fileName, bytes }.
+// -----------------------------------------------------
+const uploadFile = async (buffer, fileName) => {
+  const form = new FormData();
+  form.append('purpose', 'assistants');
+  form.append('file', new Blob([buffer], { type: getUploadType(fileName).mimeType }), fileName);
+  const file = await openaiRequest('/files', { method: 'POST', body: form });
+  return { fileId: file.id, fileName, bytes: file.bytes };
+};
+
+// -----------------------------------------------------
+// Function: downloadOutputFile()
+// Purpose: Download a file the assistant produced so the widget can show it. Only files with
+//          the OUTPUT_FILE_PURPOSE are served; user uploads and the guidance corpus stay
+//          private. Returns { contentType, data }, or null for any other file.
+// -----------------------------------------------------
+const downloadOutputFile = async (fileId) => {
+  const file = await openaiRequest(`/files/${fileId}`);
+  if (file.purpose !== OUTPUT_FILE_PURPOSE) return null;
+  const response = await openaiFetch(`/files/${fileId}/content`);
+  return {
+    contentType: response.headers.get('content-type') || 'application/octet-stream',
+    data: Buffer.from(await response.arrayBuffer()),
+  };
+};
+
+// -----------------------------------------------------
+// Function: createConversation()
+// Purpose: Start a new thread, seeded with the given { role, content } messages.
+//          Returns the thread ID.
+// -----------------------------------------------------
+const createConversation = async (messages = []) => {
+  const thread = await openaiRequest('/threads', { method: 'POST', body: messages.length ? { messages } : {} });
+  return thread.id;
+};
+
+// -----------------------------------------------------
+// Function: sendMessage()
+// Purpose: Add the user's message (and optional attachment) to a thread. The attachment is
+//          searched alongside the assistant's guidance corpus. A thread that no longer
+//          exists rejects with status 404.
+// -----------------------------------------------------
+const sendMessage = async (threadId, { message, attachment }) => {
+  const body = { role: 'user', content: message };
+  if (attachment) {
+    body.attachments = [
+      {
+        file_id: attachment.fileId,
+        tools: [{ type: getUploadType(attachment.fileName).tool }],
+      },
+    ];
+  }
+  await openaiRequest(`/threads/${threadId}/messages`, { method: 'POST', body });
+};
+
+// -----------------------------------------------------
+// Function: createRunBody()
+// Purpose: Build the body for a new run. The run is asked for a structured answer (see
+//          lib/answers.js), and the passages retrieved from the local guidance index (if
+//          any) are added to its instructions so citations can be traced to exact pages.
+// -----------------------------------------------------
+const createRunBody = (sources) => {
+  const instructions = [ANSWER_FORMAT_INSTRUCTIONS];
+  if (sources.length) {
+    instructions.push(formatSourcesForPrompt(sources));
+  }
+  return { assistant_id: getConfig().assistantId, additional_instructions: instructions.join('\n\n') };
+};
+
+// -----------------------------------------------------
+// Function: readMessageContent()
+// Purpose: Collect every content part of a run's assistant messages, in order: the text
+//          parts joined by blank lines, the citation annotations of all text parts, and the
+//          images ({ fileId } for generated image files, { url } for image links).
+// -----------------------------------------------------
+const readMessageContent = (messages) => {
+  const texts = [];
+  const annotations = [];
+  const images = [];
+  messages
+    .flatMap((message) => message.content || [])
+    .forEach((part) => {
+      if (part.type === 'text' && part.text) {
+        texts.push(part.text.value);
+        annotations.push(...(part.text.annotations || []));
+      } else if (part.type === 'image_file' && part.image_file?.file_id) {
+        images.push({ fileId: part.image_file.file_id });
+      } else if (part.type === 'image_url' && part.image_url?.url) {
+        images.push({ url: part.image_url.url });
+      }
+    });
+  return { text: texts.join('\n\n'), annotations, images };
+};
+
+// -----------------------------------------------------
+// Function: pollAnswer()
+// Purpose: Run the assistant on the thread and poll until the run has completed (see
+//          waitForRun() for timeouts and other outcomes), then read the messages this run
+//          added (not earlier answers in the thread) and resolve their citations.
+// -----------------------------------------------------
+const pollAnswer = async (threadId, { sources, signal }) => {
+  const body = createRunBody(sources);
+  const run = await openaiRequest(`/threads/${threadId}/runs`, { method: 'POST', body, signal });
+  const completedRun = await waitForRun(threadId, run, { signal });
+
+  // Once the run is complete, fetch the messages it wrote, oldest first
+  const messagesData = await openaiRequest(`/threads/${threadId}/messages?run_id=${run.id}&order=asc`);
+  const { text, annotations, images } = readMessageContent(
+    (messagesData.data || []).filter((msg) => msg.role === 'assistant')
+  );
+  return {
+    text,
+    images,
+    citations: await resolveCitations({ threadId, runId: run.id, annotations }),
+    model: completedRun.model || run.model || null,
+    assistantId: run.assistant_id || body.assistant_id,
+  };
+};
+
+// -----------------------------------------------------
+// Function: streamAnswer()
+// Purpose: Answer the last message of a thread. With onDelta, the run is created with
+//          stream: true and its text is reported as it arrives, with a blank line between
+//          text parts (the raw reply, i.e. the JSON as it is written); otherwise the run is
+//          polled. Aborting the signal cancels the run, as does running past RUN_TIMEOUT_MS
+//          (which throws a "timeout" run error) or a stream that ends before the run has
+//          completed (a "failed" run error). Resolves to
+//          { text, images, citations, model, assistantId }.
+// -----------------------------------------------------
+const streamAnswer = async (threadId, { sources = [], onDelta, signal } = {}) => {
+  if (!onDelta) return pollAnswer(threadId, { sources, signal });
+
+  const body = createRunBody(sources);
+  let runId = null;
+  let model = null;
+  let reply = '';
+  // The text part deltas are currently added to (message ID and part index)
+  let currentPart = null;
+  let completed = false;
+  const completedMessages = [];
+  const timeout = AbortSignal.timeout(RUN_TIMEOUT_MS);
+  const streamSignal = signal ? AbortSignal.any([signal, timeout]) : timeout;
+
+  try {
+    const response = await openaiFetch(`/threads/${threadId}/runs`, {
+      method: 'POST',
+      body: { ...body, stream: true },
+      signal: streamSignal,
+    });
+
+    for await (const { event, data } of readEventStream(response.body)) {
+      if (event === 'done') break;
+      const payload = JSON.parse(data);
+      if (event === 'thread.run.created') {
+        runId = payload.id;
+        model = payload.model || null;
+      } else if (event === 'thread.message.delta') {
+        (payload.delta?.content || []).forEach((part) => {
+          if (part.type === 'text' && part.text?.value) {
+            const partKey = `${payload.id}:${part.index}`;
+            const text = reply && partKey !== currentPart ? `\n\n${part.text.value}` : part.text.value;
+            currentPart = partKey;
+            reply += text;
+            onDelta(text);
+          }
+        });
+      } else if (event === 'thread.message.completed') {
+        completedMessages.push(payload);
+      } else if (/^thread\.run\.[a-z_]+$/.test(event)) {
+        // Throws for failed, cancelled, expired, incomplete and requires_action runs
+        completed = checkRunStatus(threadId, payload);
+      } else if (event === 'error') {
+        throw createRunError('failed', payload.message || data);
+      }
+    }
+    // A stream that ends before its run does (e.g. the connection dropped) holds only part
+    // of the answer, which must not be shown or cached as if it were complete
+    if (!completed) {
+      cancelRun(threadId, runId);
+      throw createRunError('failed', `The stream ended before run ${runId} completed.`);
+    }
+  } catch (error) {
+    if (streamSignal.aborted) cancelRun(threadId, runId);
+    if (timeout.aborted && !signal?.aborted) throw createRunError('timeout');
+    throw error;
+  }
+
+  const { text, annotations, images } = readMessageContent(completedMessages);
+  return {
+    text: text || reply,
+    images,
+    citations: await resolveCitations({ threadId, runId, annotations }),
+    model,
+    assistantId: body.assistant_id,
+  };
+};
+
+module.exports = {
+  name: 'openai-assistants',
+  createConversation,
+  downloadOutputFile,
+  getScope: () => getConfig().assistantId,
+  isConversationId,
+  sendMessage,
+  streamAnswer,
+  uploadFile,
+};
@@ -0,0 +1,123 @@
+// PrecisionFDA AI Agent - OpenAI Chat Completions provider (server side)
+// Answers with a chat model and the local guidance index instead of an Assistant: the
+// passages retrieved for each question are numbered in the system prompt and the model
+// cites them with reference markers (【0:2†source】 cites passage 2), resolved by
+// citeSources(). Needs only OPENAI_API_KEY and a built index (npm run ingest).
+
+const { openaiFetch, openaiRequest } = require('../openai');
+const { readEventStream } = require('../sse');
+const { citeSources } = require('../citations');
+const { ANSWER_FORMAT_INSTRUCTIONS } = require('../answers');
+const { RUN_TIMEOUT_MS, createRunError } = require('../runs');
+const { createLocalConversations } = require('./localConversations');
+
+// Chat model to answer with (override with OPENAI_CHAT_MODEL)
+const CHAT_MODEL = process.env.OPENAI_CHAT_MODEL || 'gpt-4o-mini';
+
+// What the Assistant's own instructions would otherwise say
+const CHAT_INSTRUCTIONS = [
+  'You answer questions about the FDA cosmetic guidance documents, including the Modernization of Cosmetics Regulation Act of 2022 (MoCRA).',
+  'Base your answer on the guidance excerpts provided. When they do not cover the question, say so instead of guessing.',
+].join(' ');
+
+const conversations = createLocalConversations('chat');
+
+// -----------------------------------------------------
+// Function: formatSourcesWithMarkers()
+// Purpose: List the retrieved passages for the system prompt, each under the marker the
+//          model should cite it with.
+// -----------------------------------------------------
+const formatSourcesWithMarkers = (sources) =>
+  [
+    'The following excerpts from the FDA cosmetic guidance documents are relevant to the question.',
+    'When you use one, cite it by writing its marker (for example 【0:1†source】) right after the statement it supports.',
+    '',
+    ...sources.map((source, index) => `【0:${index}†source】 [Page ${source.page}, ${source.section}]\n${source.text}`),
+  ].join('\n');
+
+// -----------------------------------------------------
+// Function: createRequestBody()
+// Purpose: Build the Chat Completions request for a conversation: the system prompt
+//          (instructions, answer format and retrieved passages) followed by its messages.
+// -----------------------------------------------------
+const createRequestBody = (conversationId, sources) => {
+  const system = [CHAT_INSTRUCTIONS, ANSWER_FORMAT_INSTRUCTIONS];
+  if (sources.length) {
+    system.push(formatSourcesWithMarkers(sources));
+  }
+  return {
+    model: CHAT_MODEL,
+    messages: [{ role: 'system', content: system.join('\n\n') }, ...conversations.getMessages(conversationId)],
+  };
+};
+
+// -----------------------------------------------------
+// Function: checkFinishReason()
+// Purpose: Throw the matching run error when the model stopped before finishing its answer.
+// -----------------------------------------------------
+const checkFinishReason = (finishReason) => {
+  if (finishReason === 'length') throw createRunError('incomplete', 'The reply reached the token limit.');
+  if (finishReason === 'content_filter') throw createRunError('failed', 'The reply was filtered.');
+};
+
+// -----------------------------------------------------
+// Function: streamAnswer()
+// Purpose: Answer the last message of a conversation. With onDelta, the completion is
+//          streamed and its text reported as it arrives. Aborting the signal stops the
+//          request, as does running past RUN_TIMEOUT_MS (which throws a "timeout" run
+//          error); a stream that ends before the model finished throws a "failed" run
+//          error. Resolves to { text, images, citations, model, assistantId }.
+// -----------------------------------------------------
+const streamAnswer = async (conversationId, { sources = [], onDelta, signal } = {}) => {
+  const body = createRequestBody(conversationId, sources);
+  const timeout = AbortSignal.timeout(RUN_TIMEOUT_MS);
+  const requestSignal = signal ? AbortSignal.any([signal, timeout]) : timeout;
+  let text = '';
+  let model = CHAT_MODEL;
+
+  try {
+    if (onDelta) {
+      const response = await openaiFetch('/chat/completions', {
+        method: 'POST',
+        body: { ...body, stream: true },
+        signal: requestSignal,
+      });
+      let finished = false;
+      for await (const { data } of readEventStream(response.body)) {
+        if (data === '[DONE]') break;
+        const chunk = JSON.parse(data);
+        const [choice] = chunk.choices || [];
+        model = chunk.model || model;
+        if (choice?.delta?.content) {
+          text += choice.delta.content;
+          onDelta(choice.delta.content);
+        }
+        checkFinishReason(choice?.finish_reason);
+        finished = finished || Boolean(choice?.finish_reason);
+      }
+      // Without a finish reason the stream was cut off, and the text is only part of the answer
+      if (!finished) throw createRunError('failed', 'The stream ended before the reply was finished.');
+    } else {
+      const completion = await openaiRequest('/chat/completions', { method: 'POST', body, signal: requestSignal });
+      const [choice] = completion.choices || [];
+      model = completion.model || model;
+      text = choice?.message?.content || '';
+      checkFinishReason(choice?.finish_reason);
+    }
+  } catch (error) {
+    if (timeout.aborted && !signal?.aborted) throw createRunError('timeout');
+    throw error;
+  }
+
+  conversations.addReply(conversationId, text);
+  return { text, images: [], citations: citeSources(text, sources), model, assistantId: null };
+};
+
+module.exports = {
+  name: 'openai-chat',
+  createConversation: conversations.createConversation,
+  getScope: () => `chat:${CHAT_MODEL}`,
+  isConversationId: conversations.isConversationId,
+  sendMessage: conversations.sendMessage,
+  streamAnswer,
+};
@@ -0,0 +1,148 @@
+// PrecisionFDA AI Agent - Local retrieval over the ingested guidance index (server side)
+// Ranks chunks written by `npm run ingest` with BM25 so answers can cite exact pages.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_INDEX_PATH =
+  process.env.GUIDANCE_INDEX_PATH || path.join(__dirname, '..', 'data', 'guidance-index.json');
+
+// BM25 tuning constants
+const K1 = 1.2;
+const B = 0.75;
+
+// Share of a quote's terms that must appear in a chunk for the quote to be located there
+const MIN_QUOTE_OVERLAP = 0.6;
+
+// Common words that carry no meaning for ranking
+const STOPWORDS = new Set(
+  'a an and are as at be by can do does for from has have how i if in is it its may must my of on or should that the their this to was what when which who will with you your'.split(' ')
+);
+
+// The loaded index and its ranking statistics, reloaded when the file changes on disk
+let loaded = null;
+
+// -----------------------------------------------------
+// Function: tokenize()
+// Purpose: Lower-case a text and split it into searchable terms.
+// -----------------------------------------------------
+const tokenize = (text) =>
+  (String(text).toLowerCase().match(/[a-z0-9]+/g) || []).filter(
+    (term) => term.length > 1 && !STOPWORDS.has(term)
+  );
+
+// -----------------------------------------------------
+// Function: loadIndex()
+// Purpose: Read the index from disk (again, if it was re-ingested since the last read) and
+//          precompute term frequencies. Returns null when no index has been built yet.
+// -----------------------------------------------------
+const loadIndex = (indexPath = DEFAULT_INDEX_PATH) => {
+  let stats;
+  try {
+    stats = fs.statSync(indexPath);
+  } catch (error) {
+    return null;
+  }
+  if (loaded && loaded.path === indexPath && loaded.mtimeMs === stats.mtimeMs) {
+    return loaded;
+  }
+
+  const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  const documentFrequency = {};
+  const chunks = index.chunks.map((chunk) => {
+    const terms = tokenize(`${chunk.section} ${chunk.text}`);
+    const termCounts = {};
+    terms.forEach((term) => {
+      termCounts[term] = (termCounts[term] || 0) + 1;
+    });
+    Object.keys(termCounts).forEach((term) => {
+      documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+    });
+    return { chunk, termCounts, length: terms.length };
+  });
+  const averageLength = chunks.reduce((sum, entry) => sum + entry.length, 0) / (chunks.length || 1);
+
+  loaded = { path: indexPath, mtimeMs: stats.mtimeMs, index, chunks, documentFrequency, averageLength };
+  return loaded;
+};
+
+// -----------------------------------------------------
+// Function: getIndexVersion()
+// Purpose: Version of the ingested guidance corpus, or null when no index has been built.
+// -----------------------------------------------------
+const getIndexVersion = (indexPath) => loadIndex(indexPath)?.index.version || null;
+
+// -----------------------------------------------------
+// Function: search()
+// Purpose: Return the chunks that best match a query, best first, as
+//          { id, page, section, text, score } objects.
+// -----------------------------------------------------
+const search = (query, { limit = 4, indexPath } = {}) => {
+  const data = loadIndex(indexPath);
+  if (!data) return [];
+
+  const queryTerms = [...new Set(tokenize(query))];
+  const total = data.chunks.length;
+
+  return data.chunks
+    .map(({ chunk, termCounts, length }) => {
+      const score = queryTerms.reduce((sum, term) => {
+        const frequency = termCounts[term];
+        if (!frequency) return sum;
+        const df = data.documentFrequency[term];
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+        const norm = frequency + K1 * (1 - B + (B * length) / data.averageLength);
+        return sum + (idf * frequency * (K1 + 1)) / norm;
+      }, 0);
+      return { ...chunk, score };
+    })
+    .filter((result) => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+// -----------------------------------------------------
+// Function: locateQuote()
+// Purpose: Find the page and section a quoted passage comes from. The passage is looked up
+//          verbatim first, then by ranking; returns { page, section } or null if not found.
+// -----------------------------------------------------
+const locateQuote = (quote, { indexPath } = {}) => {
+  const data = loadIndex(indexPath);
+  if (!data) return null;
+
+  const normalize = (text) => String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+  const opening = normalize(quote).replace(/…$/, '').slice(0, 80);
+  const exact = opening && data.index.chunks.find((chunk) => normalize(chunk.text).includes(opening));
+  if (exact) return { page: exact.page, section: exact.section };
+
+  const [best] = search(quote, { limit: 1, indexPath });
+  if (!best) return null;
+  const quoteTerms = [...new Set(tokenize(quote))];
+  const chunkTerms = new Set(tokenize(best.text));
+  const overlap = quoteTerms.filter((term) => chunkTerms.has(term)).length / (quoteTerms.length || 1);
+  return overlap >= MIN_QUOTE_OVERLAP ? { page: best.page, section: best.section } : null;
+};
+
+// -----------------------------------------------------
+// Function: formatSourcesForPrompt()
+// Purpose: Turn retrieved chunks into instructions for the assistant run. Used excerpts are
+//          listed under "sections" of the structured answer (see lib/answers.js), by the
+//          section and page in their heading, so each can be traced to the exact page.
+// -----------------------------------------------------
+const formatSourcesForPrompt = (sources) =>
+  [
+    'The following excerpts from the FDA cosmetic guidance documents are relevant to the question.',
+    'When your answer relies on one, add its section and page, as given in its heading, to "sections" (for example { "section": "II. Background", "page": 4 }).',
+    '',
+    ...sources.map((source) => `[Page ${source.page}, ${source.section}]\n${source.text}`),
+  ].join('\n');
+
+module.exports = {
+  DEFAULT_INDEX_PATH,
+  formatSourcesForPrompt,
+  getIndexVersion,
+  loadIndex,
+  locateQuote,
+  search,
+  tokenize,
+};
@@ -0,0 +1,123 @@
+// PrecisionFDA AI Agent - Assistant run lifecycle (server side)
+// A run moves from queued/in_progress to one terminal status. Only "completed" produces an
+// answer; every other outcome becomes an error carrying its run status and a message the
+// widget can show. Runs that take longer than RUN_TIMEOUT_MS are cancelled.
+
+const { delay, openaiRequest } = require('./openai');
+
+// Overall time allowed for one run (override with RUN_TIMEOUT_MS, in milliseconds)
+const RUN_TIMEOUT_MS = Number(process.env.RUN_TIMEOUT_MS) || 120000;
+
+// Polling starts fast and backs off exponentially, up to POLL_MAX_DELAY_MS between polls
+const POLL_INITIAL_DELAY_MS = 500;
+const POLL_MAX_DELAY_MS = 8000;
+const POLL_BACKOFF = 2;
+
+// Statuses of a run that is still going
+const ACTIVE_STATUSES = ['queued', 'in_progress', 'cancelling'];
+
+// What the user is told for each way a run can end without an answer ("timeout" is ours)
+const RUN_STATUS_MESSAGES = {
+  failed: 'The assistant ran into a problem and could not answer. Please try again.',
+  cancelled: 'The response was cancelled before the assistant finished.',
+  expired: 'The assistant took too long and the request expired. Please try again.',
+  incomplete:
+    'The assistant stopped before finishing its answer (it may have reached its length limit). Try asking a narrower question.',
+  requires_action: 'The assistant tried to use a tool this chat does not support, so the request was stopped.',
+  timeout: `The assistant did not answer within ${Math.round(RUN_TIMEOUT_MS / 1000)} seconds, so the request was cancelled. Please try again.`,
+};
+
+// -----------------------------------------------------
+// Function: createRunError()
+// Purpose: Build the error for a run that ended without an answer. `runStatus` tells the
+//          caller how it ended and the message is safe to show to the user.
+// -----------------------------------------------------
+const createRunError = (runStatus, detail) => {
+  const error = new Error(RUN_STATUS_MESSAGES[runStatus] || RUN_STATUS_MESSAGES.failed);
+  error.runStatus = runStatus;
+  if (detail) console.error(`Run ended as ${runStatus}:`, detail);
+  return error;
+};
+
+// -----------------------------------------------------
+// Function: cancelRun()
+// Purpose: Ask OpenAI to cancel a run (fire and forget; a failure is only logged).
+// -----------------------------------------------------
+const cancelRun = (threadId, runId, request = openaiRequest) => {
+  if (!runId) return;
+  request(`/threads/${threadId}/runs/${runId}/cancel`, { method: 'POST' })
+    .then(() => console.log(`Run ${runId} cancelled.`))
+    .catch((error) => console.warn(`Could not cancel run ${runId}:`, error.message));
+};
+
+// -----------------------------------------------------
+// Function: checkRunStatus()
+// Purpose: Move the state machine on from a run's status. Returns true once the run has
+//          completed and false while it is still active; throws for every other outcome
+//          (cancelling runs that are waiting on a tool call we cannot make).
+// -----------------------------------------------------
+const checkRunStatus = (threadId, run, request = openaiRequest) => {
+  if (run.status === 'completed') return true;
+  if (ACTIVE_STATUSES.includes(run.status)) return false;
+  if (run.status === 'requires_action') {
+    cancelRun(threadId, run.id, request);
+  }
+  throw createRunError(run.status, run.last_error?.message || run.incomplete_details?.reason);
+};
+
+// -----------------------------------------------------
+// Function: pollRun()
+// Purpose: Fetch a run's latest state, giving up with a timeout run error once `timeLeft`
+//          runs out (openaiRequest() retries could otherwise run past the run's deadline).
+// -----------------------------------------------------
+const pollRun = async (request, path, signal, timeLeft) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(createRunError('timeout')), Math.max(timeLeft, 0));
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+  try {
+    return await request(path, { signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+};
+
+// -----------------------------------------------------
+// Function: waitForRun()
+// Purpose: Poll a run with exponential backoff until it completes, and return the completed
+//          run. Throws a run error (see createRunError()) when it ends any other way or runs
+//          past the timeout; aborting the signal cancels the run and rethrows the abort.
+//          `request` sends the OpenAI requests (openaiRequest() unless a test passes one).
+// -----------------------------------------------------
+const waitForRun = async (threadId, run, { signal, timeoutMs = RUN_TIMEOUT_MS, request = openaiRequest } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  let current = run;
+  let pollDelay = POLL_INITIAL_DELAY_MS;
+
+  try {
+    while (!checkRunStatus(threadId, current, request)) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) throw createRunError('timeout');
+      await delay(Math.min(pollDelay, remaining), signal);
+      pollDelay = Math.min(pollDelay * POLL_BACKOFF, POLL_MAX_DELAY_MS);
+
+      current = await pollRun(request, `/threads/${threadId}/runs/${run.id}`, signal, deadline - Date.now());
+      if (!current.status) {
+        throw new Error('Failed to retrieve run status.');
+      }
+    }
+  } catch (error) {
+    if (signal?.aborted || error.runStatus === 'timeout') cancelRun(threadId, run.id, request);
+    throw error;
+  }
+  return current;
+};
+
+module.exports = {
+  RUN_TIMEOUT_MS,
+  cancelRun,
+  checkRunStatus,
+  createRunError,
+  waitForRun,
+};
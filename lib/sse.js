@@ -0,0 +1,59 @@
+// PrecisionFDA AI Agent - Server-Sent Events helpers (server side)
+
+// -----------------------------------------------------
+// Function: readEventStream()
+// Purpose: Parse a fetch() response body in text/event-stream format.
+//          Yields one { event, data } object per event; data is the raw string.
+// -----------------------------------------------------
+async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const parseEvent = (block) => {
+    let event = 'message';
+    const dataLines = [];
+    block.split('\n').forEach((line) => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''));
+      }
+    });
+    return dataLines.length ? { event, data: dataLines.join('\n') } : null;
+  };
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const parsed = parseEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (parsed) yield parsed;
+    }
+  }
+  const parsed = parseEvent(buffer.trim());
+  if (parsed) yield parsed;
+}
+
+// -----------------------------------------------------
+// Function: openEventStream()
+// Purpose: Prepare an Express response for Server-Sent Events and return a
+//          send(event, data) function that writes one JSON-encoded event.
+// -----------------------------------------------------
+const openEventStream = (res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  return (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+};
+
+module.exports = {
+  readEventStream,
+  openEventStream,
+};
@@ -0,0 +1,44 @@
+// PrecisionFDA AI Agent - Attachment rules (server side)
+// Keep in sync with UPLOAD_TYPES / MAX_UPLOAD_BYTES in public/widget.js.
+
+// Largest attachment accepted, in bytes (20 MB)
+const MAX_UPLOAD_BYTES = 20 * 1024 * 1024;
+
+// Accepted attachment types by extension, with the assistant tool that reads them.
+// CSV is not supported by file_search, so spreadsheets go to code_interpreter instead.
+const UPLOAD_TYPES = {
+  pdf: { mimeType: 'application/pdf', tool: 'file_search' },
+  docx: {
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    tool: 'file_search',
+  },
+  txt: { mimeType: 'text/plain', tool: 'file_search' },
+  csv: { mimeType: 'text/csv', tool: 'code_interpreter' },
+};
+
+// -----------------------------------------------------
+// Function: getUploadType()
+// Purpose: Look up the accepted type for a file name by its extension.
+//          Returns null when the file type is not accepted, including names without an
+//          extension ("pdf") and extensions that are only Object properties ("a.constructor").
+// -----------------------------------------------------
+const getUploadType = (fileName) => {
+  const name = String(fileName || '');
+  const dot = name.lastIndexOf('.');
+  if (dot <= 0) return null;
+  const extension = name.slice(dot + 1).toLowerCase();
+  return Object.hasOwn(UPLOAD_TYPES, extension) ? UPLOAD_TYPES[extension] : null;
+};
+
+// -----------------------------------------------------
+// Function: isFileId()
+// Purpose: Check that a client-supplied file ID looks like an OpenAI file ID.
+// -----------------------------------------------------
+const isFileId = (value) => typeof value === 'string' && /^file-[A-Za-z0-9]+$/.test(value);
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  UPLOAD_TYPES,
+  getUploadType,
+  isFileId,
+};
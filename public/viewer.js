@@ -0,0 +1,177 @@
+// PrecisionFDA AI Agent - Guidance PDF viewer
+// Opened from chat citations as viewer.html?page=<page>&q=<quoted passage>.
+// Renders one page of the bundled guidance PDF with pdf.js and highlights the cited passage.
+
+import { getDocument, GlobalWorkerOptions, TextLayer } from '/vendor/pdfjs/build/pdf.mjs';
+
+GlobalWorkerOptions.workerSrc = '/vendor/pdfjs/build/pdf.worker.mjs';
+
+const PDF_URL = '/guidance.pdf';
+const RENDER_SCALE = 1.5;
+// Shortest part of a quote (in characters) worth highlighting on its own
+const MIN_MATCH_LENGTH = 20;
+
+const params = new URLSearchParams(window.location.search);
+const quote = params.get('q') || '';
+
+const pageContainer = document.getElementById('page');
+const statusLine = document.getElementById('status');
+const pageLabel = document.getElementById('pageLabel');
+const prevButton = document.getElementById('prevPage');
+const nextButton = document.getElementById('nextPage');
+
+let pdfDocument = null;
+let currentPage = 1;
+
+// -----------------------------------------------------
+// Function: normalize()
+// Purpose: Lower-case text and reduce it to words separated by single spaces, so a quote
+//          can be matched against PDF text regardless of punctuation and line breaks.
+// -----------------------------------------------------
+const normalize = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// -----------------------------------------------------
+// Function: joinItems()
+// Purpose: Join a page's normalized text items into one string, remembering where each
+//          item starts and ends so a match can be mapped back to the text layer spans.
+// -----------------------------------------------------
+const joinItems = (itemStrings) => {
+  let text = '';
+  const ranges = [];
+  itemStrings.forEach((itemString, index) => {
+    const normalized = normalize(itemString);
+    if (!normalized) return;
+    ranges.push({ index, start: text.length, end: text.length + normalized.length });
+    text += `${normalized} `;
+  });
+  return { text, ranges };
+};
+
+// -----------------------------------------------------
+// Function: findQuote()
+// Purpose: Locate the quote in a page's joined text. Quotes may be trimmed or span a page
+//          break, so progressively shorter openings of the quote are tried.
+//          Returns { start, end } in the joined text, or null.
+// -----------------------------------------------------
+const findQuote = (joinedText) => {
+  const needle = normalize(quote.replace(/…$/, ''));
+  for (let length = needle.length; length >= MIN_MATCH_LENGTH; length = Math.floor(length / 2)) {
+    const opening = needle.slice(0, length).replace(/\s\S*$/, '');
+    const start = joinedText.indexOf(opening);
+    if (opening.length >= MIN_MATCH_LENGTH && start !== -1) {
+      return { start, end: start + opening.length };
+    }
+  }
+  return null;
+};
+
+// -----------------------------------------------------
+// Function: findQuotePage()
+// Purpose: When a citation has no page number, search the document for the quoted passage.
+// -----------------------------------------------------
+const findQuotePage = async () => {
+  for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+    const page = await pdfDocument.getPage(pageNumber);
+    const { items } = await page.getTextContent();
+    if (findQuote(joinItems(items.map((item) => item.str)).text)) {
+      return pageNumber;
+    }
+  }
+  return 1;
+};
+
+// -----------------------------------------------------
+// Function: highlightQuote()
+// Purpose: Mark the text layer spans that contain the quoted passage and scroll to them.
+// -----------------------------------------------------
+const highlightQuote = (textLayer) => {
+  const { text, ranges } = joinItems(textLayer.textContentItemsStr);
+  const match = findQuote(text);
+  if (!match) return false;
+
+  const highlighted = ranges
+    .filter((range) => range.start < match.end && range.end > match.start)
+    .map((range) => textLayer.textDivs[range.index])
+    .filter(Boolean);
+  highlighted.forEach((span) => span.classList.add('highlight'));
+  if (highlighted.length) {
+    highlighted[0].scrollIntoView({ block: 'center' });
+  }
+  return highlighted.length > 0;
+};
+
+// -----------------------------------------------------
+// Function: renderPage()
+// Purpose: Draw a page on a canvas, lay the selectable text layer over it and highlight
+//          the cited passage when it is on this page.
+// -----------------------------------------------------
+const renderPage = async (pageNumber) => {
+  currentPage = Math.min(Math.max(pageNumber, 1), pdfDocument.numPages);
+  const page = await pdfDocument.getPage(currentPage);
+  const viewport = page.getViewport({ scale: RENDER_SCALE });
+
+  pageContainer.innerHTML = '';
+  pageContainer.style.width = `${viewport.width}px`;
+  pageContainer.style.height = `${viewport.height}px`;
+  pageContainer.style.setProperty('--scale-factor', viewport.scale);
+
+  const canvas = document.createElement('canvas');
+  const outputScale = window.devicePixelRatio || 1;
+  canvas.width = Math.floor(viewport.width * outputScale);
+  canvas.height = Math.floor(viewport.height * outputScale);
+  canvas.style.width = `${viewport.width}px`;
+  canvas.style.height = `${viewport.height}px`;
+  pageContainer.appendChild(canvas);
+
+  const textLayerDiv = document.createElement('div');
+  textLayerDiv.className = 'textLayer';
+  pageContainer.appendChild(textLayerDiv);
+
+  await page.render({
+    canvasContext: canvas.getContext('2d'),
+    viewport,
+    transform: outputScale !== 1 ? [outputScale, 0, 0, outputScale, 0, 0] : null,
+  }).promise;
+
+  const textLayer = new TextLayer({
+    textContentSource: await page.getTextContent(),
+    container: textLayerDiv,
+    viewport,
+  });
+  await textLayer.render();
+
+  const found = quote ? highlightQuote(textLayer) : false;
+  statusLine.textContent = quote && !found ? 'The cited passage could not be highlighted on this page.' : '';
+  statusLine.style.display = statusLine.textContent ? 'block' : 'none';
+
+  pageLabel.textContent = `Page ${currentPage} of ${pdfDocument.numPages}`;
+  prevButton.disabled = currentPage <= 1;
+  nextButton.disabled = currentPage >= pdfDocument.numPages;
+
+  // Keep the URL in sync so the current page can be shared
+  params.set('page', currentPage);
+  window.history.replaceState(null, '', `?${params.toString()}`);
+  document.getElementById('downloadLink').href = `${PDF_URL}#page=${currentPage}`;
+};
+
+prevButton.onclick = () => renderPage(currentPage - 1);
+nextButton.onclick = () => renderPage(currentPage + 1);
+
+const init = async () => {
+  try {
+    pdfDocument = await getDocument(PDF_URL).promise;
+    const requestedPage = parseInt(params.get('page'), 10);
+    if (requestedPage) {
+      await renderPage(requestedPage);
+    } else {
+      statusLine.textContent = quote ? 'Finding the cited passage...' : '';
+      await renderPage(quote ? await findQuotePage() : 1);
+    }
+  } catch (error) {
+    console.error('Error loading guidance PDF:', error);
+    statusLine.textContent = 'The guidance document could not be loaded.';
+    statusLine.style.display = 'block';
+  }
+};
+
+init();
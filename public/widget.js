@@ -0,0 +1,4013 @@
+// PrecisionFDA AI Agent - RAG System Pro Tier
+// Last updated - Feb 27, 2025
+
+// -------------------------
+// External Resource Loading
+// -------------------------
+
+// Function to load external resources (fonts or scripts)
+// If type is 'font', creates a <link> tag; otherwise, a <script> tag. It is added to the
+// document head unless another parent (such as a widget's shadow root) is given.
+const loadExternalResource = (type, url, parent = document.head) => {
+  const link = document.createElement(type === 'font' ? 'link' : 'script');
+  if (type === 'font') {
+    link.rel = 'stylesheet';
+    link.href = url;
+  } else {
+    link.src = url;
+  }
+  parent.appendChild(link);
+  return link;
+ };
+ 
+ // Load Google Font "Proxima Nova"
+ const loadGoogleFont = () =>
+  loadExternalResource(
+    'font',
+    'https://fonts.googleapis.com/css2?family=Proxima+Nova:wght@400;700&display=swap'
+  );
+ 
+ // Load Font Awesome icons into the document head or a widget's shadow root
+ const loadFontAwesome = (parent) =>
+  loadExternalResource(
+    'font',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0-beta3/css/all.min.css',
+    parent
+  );
+ 
+ // Fonts are declared once for the whole page: @font-face rules only take effect in the
+ // document, so Font Awesome is also loaded there (its class rules are loaded into each
+ // widget's shadow root)
+ let pageFontsLoaded = false;
+ const loadPageFonts = () => {
+  if (pageFontsLoaded) return;
+  pageFontsLoaded = true;
+  loadGoogleFont();
+  loadFontAwesome();
+ };
+ 
+ // Markdown renderer and HTML sanitizer used for assistant answers (served by server.js from
+ // node_modules). Each is skipped when the host page already provides it.
+ const MARKDOWN_SCRIPTS = {
+  marked: '/vendor/marked/marked.umd.js',
+  DOMPurify: '/vendor/dompurify/purify.min.js',
+ };
+ // Resolves once both have loaded (or failed to load) from the backend at `endpoint`
+ const loadMarkdownLibraries = (endpoint) =>
+  Promise.all(
+    Object.keys(MARKDOWN_SCRIPTS)
+      .filter((globalName) => !window[globalName])
+      .map(
+        (globalName) =>
+          new Promise((resolve) => {
+            const script = loadExternalResource('script', backendUrl(endpoint, MARKDOWN_SCRIPTS[globalName]));
+            script.onload = resolve;
+            script.onerror = resolve;
+          })
+      )
+  );
+ 
+ // -------------------------
+ // Define Color Scheme
+ // -------------------------
+ // PrecisionFDA colours. Widgets use them through CSS custom properties (see COLORS), so each
+ // widget can be themed by its `theme` option or by host page CSS, e.g.
+ // pfda-chat { --pfda-primary: #205493; }
+ const DEFAULT_COLORS = {
+  primary: '#1B74BB',
+  secondary: '#FFFFFF',
+  accent: '#5DA9E9',
+  error: '#C62828',
+  linkYesBg: '#E5F2FB',
+  linkYesColor: '#17659F',
+  linkNoBg: '#FBE5E6',
+  linkNoColor: '#C62828',
+  confidenceHigh: '#2E9E5B',
+  confidenceMedium: '#E8A33D',
+  warningBg: '#FFF4E0',
+  warningColor: '#8A5A00',
+ };
+ 
+ // CSS custom property of a colour, e.g. 'linkYesBg' -> '--pfda-link-yes-bg'
+ const colorProperty = (name) => `--pfda-${name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}`;
+ 
+ // CSS value of each colour: its custom property, falling back to the PrecisionFDA colour
+ const COLORS = Object.fromEntries(
+  Object.keys(DEFAULT_COLORS).map((name) => [name, `var(${colorProperty(name)}, ${DEFAULT_COLORS[name]})`])
+ );
+ 
+ // -------------------------
+ // Embedding Options
+ // -------------------------
+ // Defaults for the options of a widget, passed to PrecisionFDAChat.init(options) or set as
+ // attributes of a <pfda-chat> element (see "Public embedding API" at the end of this file)
+ const DEFAULT_OPTIONS = {
+  endpoint: '',
+  theme: {},
+  position: 'bottom-right',
+  title: 'PrecisionFDA AI Agent',
+  placeholder: 'How can I help you?',
+  logo: 'https://precision.fda.gov/assets/presskit/pfda.favicon.white.688x688.png',
+  startOpen: false,
+  storageKey: '',
+  syncHistory: false,
+  shortcuts: {},
+  onAnswer: null,
+  onError: null,
+  onOpen: null,
+ };
+ // Corners the chat button can be placed in
+ const POSITIONS = ['bottom-right', 'bottom-left', 'top-right', 'top-left'];
+ 
+ // -----------------------------------------------------
+ // Function: normalizeWidgetOptions()
+ // Purpose: Fill in the defaults for options that are missing or undefined.
+ //          Throws if the position is not one of POSITIONS, or `shortcuts` names an action
+ //          that is not in SHORTCUTS.
+ // -----------------------------------------------------
+ const normalizeWidgetOptions = (options) => {
+  const given = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  const normalized = { ...DEFAULT_OPTIONS, ...given };
+  if (!POSITIONS.includes(normalized.position)) {
+    throw new Error(`PrecisionFDAChat: position must be one of ${POSITIONS.join(', ')}.`);
+  }
+  const actions = SHORTCUTS.map(({ action }) => action);
+  const unknownAction = Object.keys(normalized.shortcuts).find((action) => !actions.includes(action));
+  if (unknownAction) {
+    throw new Error(`PrecisionFDAChat: unknown shortcut "${unknownAction}"; shortcuts are ${actions.join(', ')}.`);
+  }
+  normalized.endpoint = String(normalized.endpoint).replace(/\/+$/, '');
+  return normalized;
+ };
+ 
+ // URL of a backend route or file (the routes below, the viewer and the vendor scripts) on a
+ // widget's backend: its `endpoint` option, '' for the page's own origin
+ const backendUrl = (endpoint, path) => `${endpoint}${path}`;
+ 
+ // Backend routes that proxy chat requests to the assistant (see server.js)
+ const API_ENDPOINT = '/api/chat';
+ const STREAM_ENDPOINT = '/api/chat/stream';
+ 
+ const FILES_ENDPOINT = '/api/files';
+ 
+ // Attachment rules; keep in sync with lib/uploads.js on the server
+ const MAX_UPLOAD_BYTES = 20 * 1024 * 1024;
+ const UPLOAD_TYPES = ['pdf', 'docx', 'txt', 'csv'];
+ // Question sent when the user attaches a file without typing anything
+ const DEFAULT_ATTACHMENT_QUESTION = 'Please review the attached file against the FDA cosmetic guidance.';
+ 
+ // Citation viewer (viewer.html) that opens the guidance PDF at the cited page
+ const VIEWER_URL = '/viewer.html';
+ 
+ // HTML allowed in rendered answers; any other tag or attribute (scripts, event handlers,
+ // styles) is removed, and DOMPurify drops javascript: URLs
+ const ALLOWED_TAGS = [
+  'p', 'br', 'hr', 'strong', 'b', 'em', 'i', 'del', 'sup', 'sub', 'code', 'pre', 'blockquote',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'a',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td',
+ ];
+ const ALLOWED_ATTR = ['href', 'start', 'colspan', 'rowspan', 'align'];
+ 
+ // localStorage key holding the current conversation's assistant thread ID
+ const THREAD_STORAGE_KEY = 'pfdaThreadId';
+ 
+ // Conversation history is saved in IndexedDB; the conversation on screen is remembered in
+ // localStorage so it is reopened after a page reload
+ const HISTORY_DB_NAME = 'pfdaChatHistory';
+ const HISTORY_STORE = 'conversations';
+ const CONVERSATION_STORAGE_KEY = 'pfdaConversationId';
+ // Widgets with the syncHistory option also back conversations up to their backend
+ // (/api/conversations), filed under a random ID for this browser
+ const HISTORY_ENDPOINT = '/api/conversations';
+ const CLIENT_ID_STORAGE_KEY = 'pfdaClientId';
+ // Longest conversation title taken from its first question
+ const MAX_TITLE_LENGTH = 60;
+ 
+ // Confidence scores (percent) below LOW_CONFIDENCE get a "verify with source" banner;
+ // scores from HIGH_CONFIDENCE up are shown in green
+ const LOW_CONFIDENCE = 60;
+ const HIGH_CONFIDENCE = 80;
+ const FDA_CONTACT_URL = 'https://www.fda.gov/about-fda/contact-fda';
+ 
+ // "Was this helpful?" responses are logged by the backend for answer-quality review
+ const FEEDBACK_ENDPOINT = '/api/feedback';
+ // Reasons offered after "No"; keep the values in sync with lib/feedback.js on the server
+ const FEEDBACK_REASONS = [
+  { value: 'wrong_citation', label: 'Wrong citation' },
+  { value: 'outdated', label: 'Outdated' },
+  { value: 'incomplete', label: 'Incomplete' },
+  { value: 'hallucinated', label: 'Not in the guidance (made up)' },
+ ];
+ 
+ // Keyboard shortcuts: the widget action each one runs, its description in the shortcuts
+ // overlay and its default key combination (see formatShortcut()). The `shortcuts` option and
+ // the user, from the overlay, can change the keys.
+ const SHORTCUTS = [
+  { action: 'toggleChat', label: 'Open or close the chat', keys: 'Shift+N' },
+  { action: 'clearChat', label: 'Clear the chat', keys: 'Shift+C' },
+  { action: 'toggleExpand', label: 'Expand or shrink the chat', keys: '|' },
+  { action: 'toggleWidget', label: 'Hide or show the chat button', keys: '!' },
+  { action: 'toggleHistory', label: 'Show or hide conversation history', keys: '}' },
+  { action: 'showShortcuts', label: 'Show keyboard shortcuts', keys: '?' },
+ ];
+ const SHORTCUT_STORAGE_KEY = 'pfdaShortcuts';
+ 
+ // -----------------------------------------------------
+ // Function: escapeHTML()
+ // Purpose: Escape text (e.g., quoted passages and file names) before inserting it as HTML
+ // -----------------------------------------------------
+ const escapeHTML = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+ 
+ // -----------------------------------------------------
+ // Function: buildViewerLink()
+ // Purpose: Build the citation viewer URL for a page and/or quoted passage. The viewer opens
+ //          the guidance PDF at the page and highlights the passage; without a page it
+ //          searches the document for the passage. `endpoint` is the widget's backend.
+ // -----------------------------------------------------
+ const buildViewerLink = ({ page, quote }, endpoint = '') => {
+  const params = new URLSearchParams();
+  if (page) params.set('page', page);
+  if (quote) params.set('q', quote);
+  return `${backendUrl(endpoint, VIEWER_URL)}?${params.toString()}`;
+ };
+ 
+ // -----------------------------------------------------
+ // Function: describeCitation()
+ // Purpose: Build the reference entry for a citation resolved by the backend
+ //          ({ fileName, page, section, quote }), e.g. "guidance.pdf - Page 147, 1. Registration".
+ //          Markers without citation data fall back to the generic "FDA Guidance".
+ // -----------------------------------------------------
+ const describeCitation = (citation) => {
+  if (!citation) {
+    return { label: 'FDA Guidance', quote: '', page: null };
+  }
+  let label = citation.fileName || 'FDA Guidance';
+  if (citation.page) {
+    label += ` - Page ${citation.page}`;
+    if (citation.section) label += `, ${citation.section}`;
+  }
+  return { label, quote: citation.quote || '', page: citation.page || null };
+ };
+ 
+ // -----------------------------------------------------
+ // Function: linkCitation()
+ // Purpose: Wrap HTML in a link that opens a reference in the viewer (in a new tab).
+ //          References with neither a page nor a quote have nothing to open and stay plain.
+ // -----------------------------------------------------
+ const linkCitation = (ref, innerHTML, endpoint = '') => {
+  if (!ref.page && !ref.quote) {
+    return innerHTML;
+  }
+  return `<a href="${escapeHTML(buildViewerLink(ref, endpoint))}" target="_blank" style="text-decoration: none; color: ${COLORS.primary};">${innerHTML}</a>`;
+ };
+ 
+ // -----------------------------------------------------
+ // Function: getReferenceDetails()
+ // Purpose: Build a minimal HTML reference list displayed in the Explain section of one
+ //          message, with the quoted passage under each reference
+ // -----------------------------------------------------
+ const getReferenceDetails = (references = [], endpoint = '') => {
+  if (!references.length) {
+    return '<em>No references found.</em>';
+  }
+  let explanationHTML = '<strong>References</strong><br>';
+  // Append each reference with its index number and quoted passage
+  references.forEach((ref, i) => {
+    explanationHTML += `[${i + 1}] ${linkCitation(ref, escapeHTML(ref.label), endpoint)}<br>`;
+    if (ref.quote) {
+      explanationHTML += `
+        <blockquote style="margin: 4px 0 8px 12px; padding-left: 8px; border-left: 2px solid #ddd; font-style: italic;">
+          ${escapeHTML(ref.quote)}
+        </blockquote>
+      `;
+    }
+  });
+  // Append a link to the full FDA Guidance PDF
+  explanationHTML += `
+    <br>
+    <a href="${buildViewerLink({ page: 1 }, endpoint)}"
+       target="_blank"
+       style="text-decoration: none; color: ${COLORS.primary};">
+       View FDA Guidance (PDF)
+    </a>
+  `;
+  return explanationHTML;
+ };
+ 
+ // -----------------------------------------------------
+ // Function: createElement()
+ // Purpose: Utility function to create a DOM element with styles, innerHTML, and attributes
+ // -----------------------------------------------------
+ const createElement = (type, styles, innerHTML = '', attributes = {}) => {
+  const element = document.createElement(type);
+  element.style.cssText = styles;
+  element.innerHTML = innerHTML;
+  Object.keys(attributes).forEach((key) =>
+    element.setAttribute(key, attributes[key])
+  );
+  return element;
+ };
+ 
+ // Shadow root of the widget an element belongs to (the document body for elements outside a
+ // widget), for adding temporary elements such as the copy confirmation
+ const getWidgetRoot = (element) => {
+  const root = element.getRootNode();
+  return root instanceof ShadowRoot ? root : document.body;
+ };
+ 
+ // -----------------------------------------------------
+ // Function: createIconButton()
+ // Purpose: Create a button showing only a Font Awesome icon. `label` is its tooltip and the
+ //          name screen readers announce; the icon itself is hidden from them.
+ // -----------------------------------------------------
+ const createIconButton = (iconClass, label, styles) => {
+  const button = createElement(
+    'button',
+    `
+      background-color: transparent;
+      border: none;
+      cursor: pointer;
+      ${styles}
+    `,
+    '',
+    { type: 'button' }
+  );
+  setIconButton(button, iconClass, label);
+  return button;
+ };
+ 
+ // Change the icon and label of a button made by createIconButton()
+ const setIconButton = (button, iconClass, label) => {
+  button.innerHTML = `<i class="${iconClass}" aria-hidden="true"></i>`;
+  button.title = label;
+  button.setAttribute('aria-label', label);
+ };
+ 
+ // -------------------------------------------
+ // Function: unifyConsecutiveReferences()
+ // Purpose: Merge multiple adjacent reference markers into a single superscript block.
+ // For example, converts "【4:8†source】【4:14†source】" into "<sup>[1,2]</sup>", where each
+ // number links to the cited page in the viewer.
+ // Each marker is resolved through the citations returned with the answer (matched on the
+ // annotation's marker text), so the numbering follows the actual cited passages.
+ // The distinct references ({ label, quote, page }) are collected into `references`, which
+ // belongs to the message being rendered; its order gives the reference numbers.
+ // `format` turns the numbers of one block into its output (a linked superscript by default;
+ // exported reports use plain "[1,2]").
+ // -------------------------------------------
+ const formatSuperscript = (refIndices, references, endpoint = '') => {
+  const links = refIndices.map((index) => linkCitation(references[index - 1], index, endpoint));
+  return `<sup>[${links.join(',')}]</sup>`;
+ };
+ 
+ const unifyConsecutiveReferences = (text, citations = [], references = [], format = formatSuperscript) => {
+  return text.replace(/(?:【[^†]+†source】)+/g, (fullMatch) => {
+    // Use a regex to capture each reference marker within the full match
+    const refRegex = /【([^†]+)†source】/g;
+    let subMatch;
+    const refIndices = [];
+ 
+    while ((subMatch = refRegex.exec(fullMatch)) !== null) {
+      const citation = citations.find((candidate) => candidate.marker === subMatch[0]);
+      const detail = describeCitation(citation);
+      // If the same passage hasn't been added yet, push it into the message's references
+      let index = references.findIndex(
+        (ref) => ref.label === detail.label && ref.quote === detail.quote
+      );
+      if (index === -1) {
+        references.push(detail);
+        index = references.length - 1;
+      }
+      // Reference numbers shown to the user are 1-indexed
+      if (!refIndices.includes(index + 1)) {
+        refIndices.push(index + 1);
+      }
+    }
+    // Sort indices in ascending order for consistency (e.g., [1,2] instead of [2,1])
+    refIndices.sort((a, b) => a - b);
+    // Return a single block with the indices inside
+    return format(refIndices, references);
+  });
+ };
+ 
+ // -------------------------------------------
+ // Function: linkReferences()
+ // Purpose: Convert textual references (like "See - Page X") into clickable links that open the
+ //          FDA Guidance PDF at page X. A reference never spans HTML tags (such as the
+ //          superscripts added before this runs). It starts at the last whole word "Refer to",
+ //          "See" or "For" before " - Page", so "For registration, see 4.8 - Page 12" only
+ //          links "see 4.8 - Page 12", and a trailing ", Section x" ends with the section number.
+ // -------------------------------------------
+ const linkReferences = (text, endpoint = '') => {
+  return text.replace(
+    /(\b(?:Refer to|See|For)\b(?:(?!\b(?:Refer to|See|For)\b)[^-<>])+ - Page (\d+)(?:,\s*Section [^\s,;)<]*[^\s,;)<.])?)/gi,
+    (match, reference, page) => `<a href="${buildViewerLink({ page }, endpoint)}"
+        target="_blank"
+        style="text-decoration: none; color: ${COLORS.primary};">
+      ${reference}
+    </a>`
+  );
+ };
+ 
+ // -------------------------------------------
+ // Function: createExplanationSection()
+ // Purpose: Create a collapsible explanation section to display reference details.
+ // -------------------------------------------
+ const createExplanationSection = (explanationText) => {
+  const explanationSection = createElement(
+    'div',
+    `
+      font-size: 0.9em;
+      color: #555;
+      margin-top: 5px;
+      padding: 8px;
+      background-color: #f9f9f9;
+      border-left: 3px solid ${COLORS.accent};
+      display: none;
+      font-family: 'Proxima Nova', Helvetica, Arial, sans-serif;
+    `,
+    explanationText
+  );
+  return explanationSection;
+ };
+ 
+ // Logo shown on the chat button while the chatbox is closed (the `logo` option). The button's
+ // label names it for screen readers, so the image itself has no alternative text.
+ const createLogoHTML = (logo) => `
+      <img
+        src="${escapeHTML(logo)}"
+        alt=""
+        style="width: 100%; height: 100%; object-fit: cover; border-radius: 50%;"
+      >
+    `;
+ 
+ // Split a `position` option into its CSS sides, e.g. 'bottom-left' -> ['bottom', 'left']
+ const getPositionSides = (position) => position.split('-');
+ 
+ // ID of the chatbox within its widget's shadow root, which the chat bubble controls
+ const CHATBOX_ID = 'pfdaChatbox';
+ 
+ // Layout of the chat bubble and chatbox (distances in px; see "Widget layout helpers")
+ const BUBBLE_SIZE = 70;
+ const CHATBOX_SIZE = { width: 300, height: 400 };
+ const MIN_CHATBOX_SIZE = { width: 260, height: 300 };
+ // Gap between the widget and the window edges it snaps to
+ const EDGE_MARGIN = 20;
+ // A bubble dropped this close to a window edge snaps to it
+ const SNAP_DISTANCE = 40;
+ // How far a press on the bubble must move to become a drag (so taps still open the chat)
+ const DRAG_THRESHOLD = 5;
+ // Change in chatbox [width, height] for each arrow key on the resize handle
+ const RESIZE_KEYS = { ArrowRight: [20, 0], ArrowLeft: [-20, 0], ArrowDown: [0, 20], ArrowUp: [0, -20] };
+ const LAYOUT_STORAGE_KEY = 'pfdaLayout';
+ 
+ // -------------------------------------------
+ // Function: createButton()
+ // Purpose: Create the main chat bubble button that toggles the chat widget, in the corner
+ //          set by the `position` option, showing the `logo` option.
+ //          aria-expanded tells screen readers whether the chatbox (CHATBOX_ID) is open.
+ // -------------------------------------------
+ const createButton = ({ position, logo } = DEFAULT_OPTIONS) => {
+  const [vertical, horizontal] = getPositionSides(position);
+  return createElement(
+    'button',
+    `
+      width: ${BUBBLE_SIZE}px;
+      height: ${BUBBLE_SIZE}px;
+      background-color: ${COLORS.primary};
+      border-radius: ${BUBBLE_SIZE / 2}px;
+      position: fixed;
+      ${vertical}: 30px;
+      ${horizontal}: 20px;
+      color: ${COLORS.secondary};
+      text-align: center;
+      box-shadow: 0px 10px 15px rgba(0,0,0,0.2);
+      border: none;
+      padding: 0;
+      margin: 0;
+      z-index: 1000;
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      transition: all 0.3s ease;
+      font-family: 'Proxima Nova', sans-serif;
+      touch-action: none;
+      user-select: none;
+    `,
+    createLogoHTML(logo),
+    {
+      title: 'Open Chat',
+      'aria-label': 'Open Chat',
+      'aria-expanded': 'false',
+      'aria-controls': CHATBOX_ID,
+    }
+  );
+ };
+ 
+ // -------------------------------------------
+ // Functions to create clear and expand buttons for the chat header
+ // -------------------------------------------
+ const HEADER_BUTTON_STYLES = `
+      color: ${COLORS.secondary};
+      font-size: 18px;
+    `;
+ 
+ const createClearButton = () => createIconButton('fa-solid fa-rotate-right', 'Clear chat', HEADER_BUTTON_STYLES);
+ 
+ const createHistoryButton = () => {
+  const button = createIconButton('fa-solid fa-clock-rotate-left', 'Conversation history', HEADER_BUTTON_STYLES);
+  button.setAttribute('aria-expanded', 'false');
+  button.setAttribute('aria-controls', 'chatSidebar');
+  return button;
+ };
+ 
+ const createExportButton = () => {
+  const button = createIconButton('fa-solid fa-file-export', 'Export conversation', HEADER_BUTTON_STYLES);
+  button.setAttribute('aria-expanded', 'false');
+  button.setAttribute('aria-controls', 'exportMenu');
+  return button;
+ };
+ 
+ const createExpandButton = () => createIconButton('fa fa-expand', 'Expand chat', HEADER_BUTTON_STYLES);
+ 
+ // -----------------------------------------------------
+ // Function: createMessage()
+ // Purpose: Constructs a chat message (for both user and chatbot) including metadata (name, timestamp),
+ //          the message content, a copy-to-clipboard icon, and an optional "Explain" button for FDA-related messages.
+ //          User messages are shown as plain text; chatbot content is HTML produced by
+ //          sanitizeAssistantResponse() (or a fixed status/error message).
+ //          `references` are the message's own citations (from sanitizeAssistantResponse()),
+ //          listed in its Explain section. `time` is when the message was sent.
+ //          Pass `feedback` ({ rating, send }, see createFeedbackControls()) to ask
+ //          "Was this helpful?" under a chatbot answer. References open in the viewer of the
+ //          widget's backend (`endpoint`).
+ // -----------------------------------------------------
+ const createMessage = (
+  content,
+  sender,
+  isError = false,
+  references = [],
+  time = new Date(),
+  feedback = null,
+  endpoint = ''
+ ) => {
+  // Container for the complete message line
+  const messageLine = createElement(
+    'div',
+    'margin-bottom: 15px; position: relative;'
+  );
+ 
+  // Create a header line with sender name and timestamp
+  const userLine = createElement('div', 'display: flex; align-items: center;');
+  const userNameElem = createElement(
+    'span',
+    `font-weight: bold; margin-right: 5px; color: ${
+      sender === 'user' ? '#333' : COLORS.primary
+    }; font-size: 1.05em;`,
+    sender === 'user' ? getUsername() : 'PrecisionFDA'
+  );
+  const timestamp = createElement(
+    'span',
+    'font-size: 0.9em; color: #666; margin-right: 10px;',
+    getTimeString(time)
+  );
+  userLine.appendChild(userNameElem);
+  userLine.appendChild(timestamp);
+ 
+  // Container for the actual message content
+  const userMessageLine = createElement(
+    'div',
+    `
+      font-size: 1.05em;
+      margin-left: 15px;
+      font-family: 'Proxima Nova', Helvetica, Arial, sans-serif;
+      position: relative;
+      padding-right: 40px;
+    `
+  );
+ 
+  // Create the message content and add error styling if needed
+  const message = createElement(
+    'div',
+    `
+      margin: 0;
+      padding-bottom: 10px;
+      line-height: 1.5;
+      ${sender === 'user' ? 'white-space: pre-wrap;' : ''}
+    `,
+    sender === 'user' ? escapeHTML(content) : content,
+    { class: `message-content${sender === 'user' ? '' : ' markdown-body'}${isError ? ' message-error' : ''}` }
+  );
+ 
+  // Create a copy-to-clipboard button, shown while the message is hovered or the button
+  // has keyboard focus
+  const copyIcon = createIconButton(
+    'fa fa-copy',
+    'Copy to clipboard',
+    `
+      position: absolute;
+      top: 50%;
+      right: 10px;
+      transform: translateY(-50%);
+      padding: 0;
+      font-size: 16px;
+      color: gray;
+      opacity: 0;
+      z-index: 10;
+    `
+  );
+  let isHovered = false;
+  let isFocused = false;
+  const showCopyIcon = () => {
+    copyIcon.style.opacity = isHovered || isFocused ? '1' : '0';
+  };
+  userMessageLine.onmouseenter = () => {
+    isHovered = true;
+    showCopyIcon();
+  };
+  userMessageLine.onmouseleave = () => {
+    isHovered = false;
+    showCopyIcon();
+  };
+  copyIcon.onfocus = () => {
+    isFocused = true;
+    showCopyIcon();
+  };
+  copyIcon.onblur = () => {
+    isFocused = false;
+    showCopyIcon();
+  };
+ 
+  // -------------------------------------------
+  // Copy-to-clipboard logic when the icon is clicked
+  // -------------------------------------------
+  copyIcon.onclick = () => {
+    const textToCopy = message.textContent.trim();
+    // Create a temporary splash message to confirm copy action
+    const splashMessage = createElement(
+      'div',
+      `
+        position: fixed;
+        background: linear-gradient(135deg, ${COLORS.primary}, ${COLORS.accent});
+        color: ${COLORS.secondary};
+        font-size: 1em;
+        padding: 12px 20px;
+        border-radius: 20px;
+        box-shadow: 0px 5px 15px rgba(0,0,0,0.2);
+        font-family: 'Proxima Nova', sans-serif;
+        font-weight: bold;
+        z-index: 9999;
+        opacity: 0;
+        transition: opacity 0.3s ease, transform 0.3s ease;
+        display: flex;
+        align-items: center;
+      `,
+      '<i class="fa fa-check-circle" style="margin-right: 8px;" aria-hidden="true"></i> Text copied!',
+      { role: 'status' }
+    );
+ 
+    // Position the splash message next to the copy icon, inside the widget that shows it
+    const copyIconRect = copyIcon.getBoundingClientRect();
+    let leftPosition = copyIconRect.left - 190;
+    if (leftPosition < 10) leftPosition = 10;
+    let topPosition = copyIconRect.top + copyIconRect.height / 2 + 12;
+    if (topPosition + 50 > window.innerHeight) {
+      topPosition = window.innerHeight - 60;
+    }
+    splashMessage.style.left = `${leftPosition}px`;
+    splashMessage.style.top = `${topPosition}px`;
+    splashMessage.style.transform = 'translateY(0)';
+    getWidgetRoot(copyIcon).appendChild(splashMessage);
+    setTimeout(() => {
+      splashMessage.style.opacity = '1';
+      splashMessage.style.transform = splashMessage.style.transform.replace(
+        'translateY(0)',
+        'translateY(0) scale(1)'
+      );
+    }, 10);
+    setTimeout(() => {
+      splashMessage.style.opacity = '0';
+      splashMessage.style.transform = splashMessage.style.transform.replace(
+        'scale(1)',
+        'scale(0.9)'
+      );
+      setTimeout(() => splashMessage.remove(), 300);
+    }, 2500);
+ 
+    // Use Clipboard API with a fallback for older browsers
+    navigator.clipboard
+      .writeText(textToCopy)
+      .then(() => console.log('Text copied successfully!'))
+      .catch((err) => {
+        console.warn('Clipboard API failed, falling back:', err);
+        const textArea = document.createElement('textarea');
+        textArea.value = textToCopy;
+        textArea.style.position = 'fixed';
+        textArea.style.left = '-9999px';
+        document.body.appendChild(textArea);
+        textArea.select();
+        try {
+          document.execCommand('copy');
+          console.log('Fallback: Text copied successfully!');
+        } catch (error) {
+          console.error('Fallback failed:', error);
+        }
+        document.body.removeChild(textArea);
+      });
+  };
+ 
+  // Append the message content and copy icon to the message container
+  userMessageLine.appendChild(message);
+  userMessageLine.appendChild(copyIcon);
+ 
+  // If the message is from the chatbot and relates to FDA/guidance topics,
+  // add an "Explain" button to reveal reference details.
+  if (
+    sender === 'chatbot' &&
+    /FDA|Guidance|Registration|Listing|Cosmetic|Numeric Codes|Product Testing|Labeling Requirements/i.test(
+      content
+    )
+  ) {
+    const explainButton = createElement(
+      'button',
+      `
+        background-color: transparent;
+        border: none;
+        color: ${COLORS.primary};
+        font-size: 0.9em;
+        cursor: pointer;
+        margin-top: 5px;
+      `,
+      'Explain',
+      { type: 'button', 'aria-expanded': 'false' }
+    );
+ 
+    // Get the HTML for the reference details and create the explanation section
+    const explanationText = getReferenceDetails(references, endpoint);
+    const explanationSection = createExplanationSection(explanationText);
+ 
+    // Toggle the explanation section's visibility when the button is clicked
+    explainButton.onclick = () => {
+      if (explanationSection.style.display === 'none') {
+        explanationSection.style.display = 'block';
+        explainButton.textContent = 'Hide Explanation';
+        explainButton.setAttribute('aria-expanded', 'true');
+      } else {
+        explanationSection.style.display = 'none';
+        explainButton.textContent = 'Explain';
+        explainButton.setAttribute('aria-expanded', 'false');
+      }
+    };
+ 
+    userMessageLine.appendChild(explainButton);
+    userMessageLine.appendChild(explanationSection);
+  }
+ 
+  if (sender === 'chatbot' && !isError && feedback) {
+    userMessageLine.appendChild(createFeedbackControls(feedback));
+  }
+ 
+  // Append the header and the message content to the main message container
+  messageLine.appendChild(userLine);
+  messageLine.appendChild(userMessageLine);
+  return messageLine;
+ };
+ 
+ // -----------------------------------------------------
+ // Function: createFeedbackControls()
+ // Purpose: Build the "Was this helpful? Yes / No" controls shown under an answer. "No" opens
+ //          an optional reason picker and comment box before the feedback is sent.
+ //          `rating` is the answer's earlier rating ('yes' / 'no', or null), and
+ //          send({ rating, reasons, comment }) delivers the feedback, resolving once it is saved.
+ // -----------------------------------------------------
+ const createFeedbackControls = ({ rating = null, send }) => {
+  const container = createElement('div', 'margin-top: 8px; font-size: 0.9em; color: #555;', '', {
+    class: 'message-feedback',
+  });
+  const showThanks = () => {
+    container.innerHTML =
+      '<i class="fa fa-check-circle" style="margin-right: 5px;" aria-hidden="true"></i>Thanks for your feedback.';
+  };
+  if (rating) {
+    showThanks();
+    return container;
+  }
+ 
+  const buttonStyles = 'border: none; cursor: pointer; margin-left: 6px; font-size: 0.9em;';
+  const prompt = createElement('div', 'display: flex; align-items: center;', 'Was this helpful?');
+  const yesButton = createElement('button', buttonStyles, 'Yes', { class: 'link-yes', type: 'button' });
+  const noButton = createElement('button', buttonStyles, 'No', {
+    class: 'link-no',
+    type: 'button',
+    'aria-expanded': 'false',
+  });
+  prompt.appendChild(yesButton);
+  prompt.appendChild(noButton);
+  container.appendChild(prompt);
+ 
+  const status = createElement('div', `display: none; margin-top: 4px; color: ${COLORS.error};`, '', { role: 'alert' });
+  const submit = async (feedback) => {
+    status.style.display = 'none';
+    try {
+      await send(feedback);
+      showThanks();
+    } catch (error) {
+      console.error('Error occurred while sending feedback:', error.message);
+      status.textContent = 'Your feedback could not be sent. Please try again.';
+      status.style.display = 'block';
+    }
+  };
+ 
+  // Reason picker and comment box, shown after "No"
+  const form = createElement('form', 'display: none; margin-top: 6px;', '', {
+    'aria-label': 'Why was this answer not helpful?',
+  });
+  FEEDBACK_REASONS.forEach(({ value, label }) => {
+    const option = createElement('label', 'display: block; cursor: pointer;');
+    option.appendChild(createElement('input', 'margin-right: 6px;', '', { type: 'checkbox', value }));
+    option.appendChild(document.createTextNode(label));
+    form.appendChild(option);
+  });
+  const comment = createElement(
+    'textarea',
+    'display: block; width: 100%; box-sizing: border-box; margin: 6px 0; font-family: inherit; font-size: 1em;',
+    '',
+    {
+      rows: '2',
+      maxlength: '2000',
+      placeholder: 'Anything else we should know? (optional)',
+      'aria-label': 'Comment (optional)',
+    }
+  );
+  form.appendChild(comment);
+  const sendButton = createElement(
+    'button',
+    `background-color: ${COLORS.primary}; color: ${COLORS.secondary}; border: none; border-radius: 4px; padding: 4px 12px; cursor: pointer;`,
+    'Send feedback',
+    { type: 'submit' }
+  );
+  form.appendChild(sendButton);
+  container.appendChild(form);
+  container.appendChild(status);
+ 
+  yesButton.onclick = () => submit({ rating: 'yes', reasons: [], comment: '' });
+  noButton.onclick = () => {
+    const isOpen = form.style.display === 'none';
+    form.style.display = isOpen ? 'block' : 'none';
+    noButton.setAttribute('aria-expanded', String(isOpen));
+  };
+  form.onsubmit = (event) => {
+    event.preventDefault();
+    const reasons = [...form.querySelectorAll('input:checked')].map((checkbox) => checkbox.value);
+    submit({ rating: 'no', reasons, comment: comment.value.trim() });
+  };
+  return container;
+ };
+ 
+ // -----------------------------------------------------
+ // Function: createRetryButton()
+ // Purpose: Build the "Retry" button shown on an error bubble; it is disabled once clicked.
+ // -----------------------------------------------------
+ const createRetryButton = (onRetry) => {
+  const button = createElement(
+    'button',
+    `
+      display: inline-flex;
+      align-items: center;
+      margin-bottom: 10px;
+      padding: 3px 12px;
+      border: 1px solid ${COLORS.primary};
+      border-radius: 12px;
+      background-color: ${COLORS.secondary};
+      color: ${COLORS.primary};
+      font-size: 0.9em;
+      cursor: pointer;
+    `,
+    '<i class="fa-solid fa-rotate-right" style="margin-right: 5px;" aria-hidden="true"></i>Retry',
+    { type: 'button', title: 'Send this question again' }
+  );
+  button.onclick = () => {
+    button.disabled = true;
+    button.style.cursor = 'default';
+    button.style.opacity = '0.5';
+    onRetry();
+  };
+  return button;
+ };
+ 
+ // -----------------------------------------------------
+ // Function: createAttachmentChip()
+ // Purpose: Show the name of the file attached to a user message.
+ // -----------------------------------------------------
+ const createAttachmentChip = (fileName) => {
+  const chip = createElement(
+    'div',
+    `
+      display: inline-flex;
+      align-items: center;
+      margin-bottom: 10px;
+      padding: 3px 10px;
+      font-size: 0.85em;
+      color: #555;
+      background-color: #f1f1f1;
+      border-radius: 10px;
+    `,
+    '<i class="fa fa-paperclip" style="margin-right: 5px;" aria-hidden="true"></i>'
+  );
+  // File names are user-controlled, so they are added as text rather than HTML
+  chip.appendChild(document.createTextNode(fileName));
+  return chip;
+ };
+ 
+ // -----------------------------------------------------
+ // Function: createThinkingMessage()
+ // Purpose: Shows "typing dots" to indicate the chatbot is processing a response.
+ //          Screen readers read "Thinking..." instead of the dots.
+ // -----------------------------------------------------
+ const createThinkingMessage = () => {
+  const messageLine = createElement('div', 'margin-bottom: 15px;', '', {
+    id: 'thinkingMessage',
+  });
+  const userLine = createElement('div', 'display: flex; align-items: center;');
+  const userNameElem = createElement(
+    'span',
+    `font-weight: bold; margin-right: 5px; color: ${COLORS.primary}; font-size: 1.05em;`,
+    'PrecisionFDA'
+  );
+  const timestamp = createElement(
+    'span',
+    'font-size: 0.9em; color: #666; margin-right: 10px;',
+    getTimeString()
+  );
+  userLine.appendChild(userNameElem);
+  userLine.appendChild(timestamp);
+ 
+  const userMessageLine = createElement(
+    'div',
+    `
+      font-size: 1.05em;
+      margin-left: 15px;
+      display: flex;
+      align-items: center;
+      font-family: 'Proxima Nova', Helvetica, Arial, sans-serif;
+    `
+  );
+  // Create a container for the animated "thinking" dots
+  const thinkingDots = createElement('div', 'display: flex;', '', {
+    class: 'thinking-dots',
+    'aria-hidden': 'true',
+  });
+  const dot1 = createElement('span', '', '.');
+  const dot2 = createElement('span', '', '.');
+  const dot3 = createElement('span', '', '.');
+ 
+  thinkingDots.appendChild(dot1);
+  thinkingDots.appendChild(dot2);
+  thinkingDots.appendChild(dot3);
+  userMessageLine.appendChild(thinkingDots);
+  userMessageLine.appendChild(createElement('span', '', 'Thinking...', { class: 'visually-hidden' }));
+ 
+  messageLine.appendChild(userLine);
+  messageLine.appendChild(userMessageLine);
+  return messageLine;
+ };
+ 
+ // -----------------------------------------------------
+ // Function: createStoredMessage()
+ // Purpose: Build the chat message for a conversation history entry (see "Conversation
+ //          history storage"). Assistant answers are rendered from their raw text (or structured
+ //          answer) and citations, so a reopened conversation looks the same as when it was answered.
+ //          onFeedback(feedback) sends the answer's "Was this helpful?" feedback; without it no
+ //          feedback controls are shown. onRetry() resends the question of a failed answer
+ //          (entries with `retry`) from a "Retry" button on its error bubble. Links go to the
+ //          widget's backend (`endpoint`).
+ // -----------------------------------------------------
+ const createStoredMessage = (entry, { endpoint = '', onFeedback = null, onRetry = null } = {}) => {
+  const time = new Date(entry.time);
+  if (entry.sender === 'user') {
+    const message = createMessage(entry.text, 'user', false, [], time);
+    if (entry.attachmentName) {
+      message.lastChild.appendChild(createAttachmentChip(entry.attachmentName));
+    }
+    return message;
+  }
+  if (entry.isError) {
+    const message = createMessage(escapeHTML(entry.text), 'chatbot', true, [], time);
+    if (entry.retry && onRetry) {
+      message.lastChild.appendChild(createRetryButton(onRetry));
+    }
+    return message;
+  }
+  if (entry.stopped) {
+    // Keep whatever arrived before the user pressed stop
+    const { html, references } = renderPartialResponse(entry.text, endpoint);
+    return createMessage(`${html}<p><em>Response stopped.</em></p>`, 'chatbot', false, references, time, null, endpoint);
+  }
+  const { html, references } = entry.structured
+    ? renderStructuredAnswer(entry.structured, entry.citations, endpoint)
+    : sanitizeAssistantResponse(entry.text, entry.citations, [], endpoint);
+  // Structured answers show their meter in the card; plain answers get it underneath
+  const confidence = getConfidence(entry);
+  const meter = !entry.structured && confidence !== null ? renderConfidenceMeter(confidence) : '';
+  return createMessage(
+    renderCachedNotice(entry.cachedAt) +
+      renderVerificationBanner(confidence, references, endpoint) +
+      html +
+      renderAnswerImages(entry.images, endpoint) +
+      meter,
+    'chatbot',
+    false,
+    references,
+    time,
+    onFeedback && { rating: entry.feedback ? entry.feedback.rating : null, send: onFeedback },
+    endpoint
+  );
+ };
+ 
+ // -----------------------------------------------------
+ // Function: createHistoryItem()
+ // Purpose: Build one row of the conversation history sidebar: a button opening the
+ //          conversation (its title and last update), with rename and delete buttons.
+ //          The active conversation is highlighted and marked as current.
+ // -----------------------------------------------------
+ const createHistoryItem = (conversation, isActive, { onOpen, onRename, onDelete }) => {
+  const item = createElement(
+    'div',
+    `
+      display: flex;
+      align-items: center;
+      padding: 8px 10px;
+      border-bottom: 1px solid #eee;
+      background-color: ${isActive ? '#E5F2FB' : 'transparent'};
+    `,
+    '',
+    { class: 'history-item', title: conversation.title }
+  );
+  const openButton = createElement(
+    'button',
+    `
+      flex-grow: 1;
+      min-width: 0;
+      padding: 0;
+      border: none;
+      background-color: transparent;
+      color: inherit;
+      font-family: inherit;
+      text-align: left;
+      cursor: pointer;
+    `,
+    `
+      <span style="display: block; font-size: 0.9em; font-weight: bold; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">
+        ${escapeHTML(conversation.title)}
+      </span>
+      <span style="display: block; font-size: 0.75em; color: #666;">
+        ${formatDateTime(conversation.updatedAt)}
+      </span>
+    `,
+    { type: 'button' }
+  );
+  if (isActive) openButton.setAttribute('aria-current', 'true');
+  const iconStyles = 'font-size: 13px; color: gray; margin-left: 8px;';
+  const renameIcon = createIconButton('fa fa-pen', `Rename "${conversation.title}"`, iconStyles);
+  const deleteIcon = createIconButton('fa fa-trash', `Delete "${conversation.title}"`, iconStyles);
+ 
+  openButton.onclick = () => onOpen(conversation);
+  renameIcon.onclick = () => onRename(conversation);
+  deleteIcon.onclick = () => onDelete(conversation);
+ 
+  item.appendChild(openButton);
+  item.appendChild(renameIcon);
+  item.appendChild(deleteIcon);
+  return item;
+ };
+ 
+ // -----------------------------------------------------
+ // Helper functions for username and time formatting
+ // -----------------------------------------------------
+ const getUsername = () => {
+  const userSelector = document.querySelector(
+    '#accessible-megamenu-1507037524108-13'
+  );
+  return userSelector ? userSelector.textContent.trim() : 'You';
+ };
+ 
+ const getTimeString = (date = new Date()) => {
+  let hours = date.getHours();
+  let minutes = date.getMinutes();
+  const ampm = hours >= 12 ? 'PM' : 'AM';
+  hours = hours % 12 || 12;
+  minutes = minutes < 10 ? '0' + minutes : minutes;
+  return `${hours}:${minutes} ${ampm}`;
+ };
+ 
+ // Date and time of a timestamp, e.g. "3/4/2025 2:05 PM"
+ const formatDateTime = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.toLocaleDateString()} ${getTimeString(date)}`;
+ };
+ 
+ // -------------------------------------------------------------------------------------
+ // Function: renderMarkdown()
+ // Purpose: Render markdown (headings, lists, tables, bold text, code blocks) to HTML and
+ //          sanitize it against the ALLOWED_TAGS/ALLOWED_ATTR allow-list. Links open in a new
+ //          tab. Until the libraries have loaded, the text is shown escaped instead.
+ // -------------------------------------------------------------------------------------
+ const renderMarkdown = (markdown) => {
+  if (!window.marked || !window.DOMPurify) {
+    return escapeHTML(markdown).replace(/\n/g, '<br>');
+  }
+  const html = window.DOMPurify.sanitize(window.marked.parse(markdown, { gfm: true, breaks: true }), {
+    ALLOWED_TAGS,
+    ALLOWED_ATTR,
+  });
+  return html.replace(/<a /g, '<a target="_blank" rel="noopener noreferrer" ');
+ };
+ 
+ // -------------------------------------------------------------------------------------
+ // Function: replaceOutsideTags()
+ // Purpose: Apply a replacement to the text of an HTML string only, leaving tags and their
+ //          attributes untouched. replace(text, insideLink) is told whether the text is the
+ //          label of a link, where adding another link would nest anchors.
+ // -------------------------------------------------------------------------------------
+ const replaceOutsideTags = (html, replace) => {
+  let linkDepth = 0;
+  return html
+    .split(/(<[^>]*>)/)
+    .map((part) => {
+      if (!part.startsWith('<')) return replace(part, linkDepth > 0);
+      if (/^<a[\s>]/i.test(part)) linkDepth += 1;
+      else if (/^<\/a>/i.test(part)) linkDepth = Math.max(linkDepth - 1, 0);
+      return part;
+    })
+    .join('');
+ };
+ 
+ // -------------------------------------------------------------------------------------
+ // Function: sanitizeAssistantResponse()
+ // Purpose: Prepare the assistant's response for display: render its markdown to sanitized
+ //          HTML, then merge consecutive references (resolved through the answer's citations)
+ //          and link standard reference phrases in the rendered text.
+ //          Returns { html, references }: the message HTML and the references it cites, in
+ //          the order of their superscript numbers. Pass `references` to continue the
+ //          numbering of another part of the same message. Citation links open the viewer
+ //          on `endpoint`, the widget's backend.
+ // -------------------------------------------------------------------------------------
+ const sanitizeAssistantResponse = (text, citations = [], references = [], endpoint = '') => {
+  const html = replaceOutsideTags(renderMarkdown(text.trim()), (part, insideLink) => {
+    // 1) Merge adjacent reference markers into unified superscripts (unlinked in a link's label)
+    part = insideLink
+      ? unifyConsecutiveReferences(part, citations, references, (indices) => `<sup>[${indices.join(',')}]</sup>`)
+      : unifyConsecutiveReferences(part, citations, references, (indices, refs) =>
+          formatSuperscript(indices, refs, endpoint)
+        );
+ 
+    // 2) Convert phrases like "See - Page X" into clickable links
+    return insideLink ? part : linkReferences(part, endpoint);
+  });
+ 
+  return { html, references };
+ };
+ 
+ 
+ // -----------------------------------------------------
+ // Conversation thread helpers
+ // The thread ID is kept in localStorage so a conversation survives a page reload. `scope` is
+ // a widget's storageKey option: widgets with different keys keep separate conversations.
+ // -----------------------------------------------------
+ const scopedStorageKey = (key, scope) => (scope ? `${key}:${scope}` : key);
+ 
+ const getThreadId = (scope) => {
+  try {
+    return localStorage.getItem(scopedStorageKey(THREAD_STORAGE_KEY, scope));
+  } catch (error) {
+    return null;
+  }
+ };
+ 
+ const setThreadId = (threadId, scope) => {
+  try {
+    localStorage.setItem(scopedStorageKey(THREAD_STORAGE_KEY, scope), threadId);
+  } catch (error) {
+    console.warn('Could not persist thread ID:', error);
+  }
+ };
+ 
+ const clearThreadId = (scope) => {
+  try {
+    localStorage.removeItem(scopedStorageKey(THREAD_STORAGE_KEY, scope));
+  } catch (error) {
+    console.warn('Could not clear thread ID:', error);
+  }
+ };
+ 
+ // ID of the conversation on screen (null for a new, unsaved conversation)
+ const getConversationId = (scope) => {
+  try {
+    return localStorage.getItem(scopedStorageKey(CONVERSATION_STORAGE_KEY, scope));
+  } catch (error) {
+    return null;
+  }
+ };
+ 
+ const setConversationId = (conversationId, scope) => {
+  const key = scopedStorageKey(CONVERSATION_STORAGE_KEY, scope);
+  try {
+    if (conversationId) {
+      localStorage.setItem(key, conversationId);
+    } else {
+      localStorage.removeItem(key);
+    }
+  } catch (error) {
+    console.warn('Could not persist conversation ID:', error);
+  }
+ };
+ 
+ // -----------------------------------------------------
+ // Keyboard shortcut helpers
+ // A shortcut is written as its key combination: the modifiers held (in the order Ctrl, Alt,
+ // Shift, Meta) and the key, joined by "+", e.g. 'Shift+N' or 'Ctrl+Alt+H'. Letters are
+ // upper case; other characters are written as typed, so Shift is left out of them ('?',
+ // not 'Shift+/'), whatever the keyboard layout. The user's own keys are kept in
+ // localStorage, per widget storageKey like the thread ID.
+ // -----------------------------------------------------
+ const MODIFIER_KEYS = ['Control', 'Alt', 'Shift', 'Meta'];
+ 
+ // Key combination of a keydown event, or null while only a modifier is pressed
+ const formatShortcut = (event) => {
+  const { key, code = '' } = event;
+  if (!key || MODIFIER_KEYS.includes(key)) return null;
+  const isLetter = /^[a-z]$/i.test(key);
+  let name = key === ' ' ? 'Space' : key;
+  if (isLetter) {
+    name = key.toUpperCase();
+  } else if (event.altKey && /^Key[A-Z]$/.test(code)) {
+    // Alt turns letters into other characters on some systems (e.g. Option+N on a Mac)
+    name = code.slice(3);
+  }
+  const shiftCounts = isLetter || name.length > 1 || name !== key;
+  return [
+    event.ctrlKey && 'Ctrl',
+    event.altKey && 'Alt',
+    event.shiftKey && shiftCounts && 'Shift',
+    event.metaKey && 'Meta',
+    name,
+  ]
+    .filter(Boolean)
+    .join('+');
+ };
+ 
+ // Whether a keydown comes from a field the user types in, where plain keys are text
+ const isEditableTarget = (element) =>
+  Boolean(element) && (/^(INPUT|TEXTAREA|SELECT)$/.test(element.tagName) || element.isContentEditable === true);
+ 
+ // Key combination of each shortcut action: the user's own keys, else those of the `shortcuts`
+ // option, else the defaults in SHORTCUTS
+ const getShortcuts = (configured, scope) => {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(scopedStorageKey(SHORTCUT_STORAGE_KEY, scope))) || {};
+  } catch (error) {
+    saved = {};
+  }
+  return Object.fromEntries(
+    SHORTCUTS.map(({ action, keys }) => [
+      action,
+      typeof saved[action] === 'string' ? saved[action] : configured[action] || keys,
+    ])
+  );
+ };
+ 
+ // Save the shortcuts the user gave keys other than the configured ones (the `shortcuts`
+ // option, else the defaults), so changes to those still reach the rest; null forgets them all
+ const saveShortcuts = (shortcuts, configured, scope) => {
+  const key = scopedStorageKey(SHORTCUT_STORAGE_KEY, scope);
+  const changed = SHORTCUTS.filter(
+    ({ action, keys }) => shortcuts && shortcuts[action] !== (configured[action] || keys)
+  ).map(({ action }) => [action, shortcuts[action]]);
+  try {
+    if (changed.length) {
+      localStorage.setItem(key, JSON.stringify(Object.fromEntries(changed)));
+    } else {
+      localStorage.removeItem(key);
+    }
+  } catch (error) {
+    console.warn('Could not persist shortcuts:', error);
+  }
+ };
+ 
+ // -----------------------------------------------------
+ // Shared shortcut listener
+ // One keydown listener on the document serves every widget on the page, so a shortcut acts
+ // on one widget only: the one the key was pressed in, else the one used most recently
+ // (focused or clicked), else the one added last. Each widget registers { host,
+ // handleShortcut }; the listener is removed with the last widget.
+ // -----------------------------------------------------
+ // Registered widgets, least recently used first
+ const shortcutWidgets = [];
+ 
+ const dispatchShortcut = (event) => {
+  const path = event.composedPath ? event.composedPath() : [event.target];
+  const widget =
+    shortcutWidgets.find(({ host }) => path.includes(host)) || shortcutWidgets[shortcutWidgets.length - 1];
+  if (widget) widget.handleShortcut(event);
+ };
+ 
+ // Make a widget the one shortcuts go to when none has focus
+ const useShortcutWidget = (widget) => {
+  const index = shortcutWidgets.indexOf(widget);
+  if (index !== -1) shortcutWidgets.splice(index, 1);
+  shortcutWidgets.push(widget);
+ };
+ 
+ const addShortcutWidget = (widget) => {
+  if (!shortcutWidgets.length) document.addEventListener('keydown', dispatchShortcut);
+  shortcutWidgets.push(widget);
+ };
+ 
+ const removeShortcutWidget = (widget) => {
+  const index = shortcutWidgets.indexOf(widget);
+  if (index !== -1) shortcutWidgets.splice(index, 1);
+  if (!shortcutWidgets.length) document.removeEventListener('keydown', dispatchShortcut);
+ };
+ 
+ // -----------------------------------------------------
+ // Widget layout helpers
+ // A widget's layout is where its chat bubble is and how big its chatbox is:
+ // { bubble: { horizontal, x, vertical, y }, width, height }. The bubble is placed by its
+ // distance from the nearest window sides ('left' / 'right' x px in, 'top' / 'bottom' y px
+ // in), so a bubble near an edge stays there when the window is resized. Layouts the user
+ // has dragged or resized are kept in localStorage, per widget storageKey.
+ // -----------------------------------------------------
+ const clamp = (value, min, max) => Math.max(min, Math.min(value, max));
+ 
+ // Saved layout of a widget, or null if there is none (or it is unreadable)
+ const getLayout = (scope) => {
+  try {
+    const layout = JSON.parse(localStorage.getItem(scopedStorageKey(LAYOUT_STORAGE_KEY, scope)));
+    const { bubble, width, height } = layout;
+    const isValid =
+      ['left', 'right'].includes(bubble.horizontal) &&
+      ['top', 'bottom'].includes(bubble.vertical) &&
+      [bubble.x, bubble.y, width, height].every(Number.isFinite);
+    return isValid ? layout : null;
+  } catch (error) {
+    return null;
+  }
+ };
+ 
+ const saveLayout = (layout, scope) => {
+  try {
+    localStorage.setItem(scopedStorageKey(LAYOUT_STORAGE_KEY, scope), JSON.stringify(layout));
+  } catch (error) {
+    console.warn('Could not persist layout:', error);
+  }
+ };
+ 
+ // -----------------------------------------------------
+ // Function: placeBubble()
+ // Purpose: Work out the layout position of a bubble whose top-left corner is dropped at
+ //          (left, top): measured from the nearest window sides, snapped to EDGE_MARGIN from
+ //          a side it is within SNAP_DISTANCE of (or past), and kept inside the window.
+ // -----------------------------------------------------
+ const placeBubble = (left, top) => {
+  const place = (start, viewportSize) => {
+    const maxStart = viewportSize - BUBBLE_SIZE;
+    const fromStart = clamp(start, 0, maxStart);
+    const nearStart = fromStart + BUBBLE_SIZE / 2 < viewportSize / 2;
+    const distance = nearStart ? fromStart : maxStart - fromStart;
+    return { nearStart, distance: distance < SNAP_DISTANCE ? EDGE_MARGIN : distance };
+  };
+  const horizontal = place(left, window.innerWidth);
+  const vertical = place(top, window.innerHeight);
+  return {
+    horizontal: horizontal.nearStart ? 'left' : 'right',
+    x: horizontal.distance,
+    vertical: vertical.nearStart ? 'top' : 'bottom',
+    y: vertical.distance,
+  };
+ };
+ 
+ // Random ID for new conversations and for this browser's synced history
+ const createId = () =>
+  window.crypto && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+ 
+ // -----------------------------------------------------
+ // Conversation history storage
+ // A conversation is { id, title, threadId, createdAt, updatedAt, messages }, and each
+ // message is { sender, text, time, structured?, images?, citations?, model?, assistantId?,
+ // cachedAt?, attachmentName?, isError?, retry?, stopped?, feedback? }.
+ // Answers are stored as the assistant's raw text and citations and rendered when shown.
+ // When IndexedDB is unavailable (e.g. some private browsing modes) nothing is saved.
+ // -----------------------------------------------------
+ let historyDB = null;
+ 
+ const openHistoryDB = () => {
+  if (!historyDB) {
+    historyDB = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(HISTORY_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return historyDB;
+ };
+ 
+ // Run one request against the conversations store and resolve with its result
+ const requestHistoryStore = async (mode, makeRequest) => {
+  const db = await openHistoryDB();
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(HISTORY_STORE, mode).objectStore(HISTORY_STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+ };
+ 
+ // Send a request to the history routes of the backend at `endpoint`; failures only log a warning
+ const requestHistoryBackup = async (endpoint, method, path = '', body) => {
+  try {
+    let clientId = localStorage.getItem(CLIENT_ID_STORAGE_KEY);
+    if (!clientId) {
+      clientId = createId();
+      localStorage.setItem(CLIENT_ID_STORAGE_KEY, clientId);
+    }
+    const response = await fetch(backendUrl(endpoint, `${HISTORY_ENDPOINT}${path}`), {
+      method,
+      headers: { 'Content-Type': 'application/json', 'X-Client-Id': clientId },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.status === 204 ? null : response.json();
+  } catch (error) {
+    console.warn(`Could not sync conversation history (${method}):`, error.message);
+    return null;
+  }
+ };
+ 
+ // `backup` is a widget's options: with syncHistory, conversations are also backed up to (and
+ // deleted from) the backend at its endpoint
+ const saveConversation = async (conversation, backup = {}) => {
+  try {
+    await requestHistoryStore('readwrite', (store) => store.put(conversation));
+  } catch (error) {
+    console.warn('Could not save conversation:', error.message);
+  }
+  if (backup.syncHistory) {
+    await requestHistoryBackup(backup.endpoint, 'PUT', `/${encodeURIComponent(conversation.id)}`, conversation);
+  }
+ };
+ 
+ const getConversation = async (conversationId) => {
+  try {
+    return (await requestHistoryStore('readonly', (store) => store.get(conversationId))) || null;
+  } catch (error) {
+    console.warn('Could not read conversation:', error.message);
+    return null;
+  }
+ };
+ 
+ const deleteConversation = async (conversationId, backup = {}) => {
+  try {
+    await requestHistoryStore('readwrite', (store) => store.delete(conversationId));
+  } catch (error) {
+    console.warn('Could not delete conversation:', error.message);
+  }
+  if (backup.syncHistory) {
+    await requestHistoryBackup(backup.endpoint, 'DELETE', `/${encodeURIComponent(conversationId)}`);
+  }
+ };
+ 
+ // -----------------------------------------------------
+ // Function: listConversations()
+ // Purpose: Return the saved conversations, most recently updated first. `backup` is the
+ //          widget's options: with syncHistory, conversations backed up on its backend that
+ //          are missing locally (or newer there) are copied into IndexedDB first.
+ // -----------------------------------------------------
+ const listConversations = async (backup = {}) => {
+  let conversations = [];
+  try {
+    conversations = await requestHistoryStore('readonly', (store) => store.getAll());
+  } catch (error) {
+    console.warn('Could not read conversation history:', error.message);
+  }
+  if (backup.syncHistory) {
+    const synced = await requestHistoryBackup(backup.endpoint, 'GET');
+    for (const remote of synced ? synced.conversations : []) {
+      const local = conversations.find((conversation) => conversation.id === remote.id);
+      if (!local || local.updatedAt < remote.updatedAt) {
+        conversations = conversations.filter((conversation) => conversation.id !== remote.id).concat(remote);
+        await requestHistoryStore('readwrite', (store) => store.put(remote)).catch(() => {});
+      }
+    }
+  }
+  return conversations.sort((a, b) => b.updatedAt - a.updatedAt);
+ };
+ 
+ // -----------------------------------------------------
+ // Function: titleFromQuestion()
+ // Purpose: Title a new conversation after its first question, cut at a word boundary.
+ // -----------------------------------------------------
+ const titleFromQuestion = (question) => {
+  const text = question.replace(/\s+/g, ' ').trim();
+  if (text.length <= MAX_TITLE_LENGTH) return text;
+  return `${text.slice(0, MAX_TITLE_LENGTH).replace(/\s+\S*$/, '')}…`;
+ };
+ 
+ // -----------------------------------------------------
+ // Structured answers
+ // The assistant answers with a JSON object validated by the server (see lib/answers.js):
+ // { insight, sections: [{ section, page }], confidence, notes }. Answers that did not match
+ // the schema arrive with structured: null and are shown as plain markdown.
+ // -----------------------------------------------------
+ 
+ // -------------------------------------------------------------------------------------
+ // Function: extractPartialInsight()
+ // Purpose: Read the "insight" field out of a structured answer that is still streaming in
+ //          (incomplete JSON), so the user sees the answer text rather than raw JSON.
+ //          Returns the insight received so far, or null when the text is not JSON.
+ // -------------------------------------------------------------------------------------
+ const extractPartialInsight = (text) => {
+  const json = text.trim().replace(/^```(?:json)?\s*/, '');
+  if (!json.startsWith('{')) return null;
+  const match = json.match(/"insight"\s*:\s*"((?:[^"\\]|\\.)*\\?)/);
+  if (!match) return '';
+  try {
+    // Drop a trailing half-arrived escape (e.g. "\" or "\u00") before decoding
+    return JSON.parse(`"${match[1].replace(/\\(?:u[0-9a-fA-F]{0,3})?$/, '')}"`);
+  } catch (error) {
+    return '';
+  }
+ };
+ 
+ // -------------------------------------------------------------------------------------
+ // Function: renderStructuredAnswer()
+ // Purpose: Render a structured answer as a card with labelled fields: Extracted Insight,
+ //          Document Section/Page (linked to the citation viewer), Confidence Score and
+ //          Additional Notes. Returns { html, references } like sanitizeAssistantResponse();
+ //          the insight and notes share one reference numbering.
+ // -------------------------------------------------------------------------------------
+ const renderStructuredAnswer = (structured, citations = [], endpoint = '') => {
+  const references = [];
+  const field = (label, body) =>
+    `<div class="answer-field"><div class="answer-label">${label}</div>${body}</div>`;
+ 
+  let html = field('Extracted Insight', sanitizeAssistantResponse(structured.insight, citations, references, endpoint).html);
+ 
+  if (structured.sections.length) {
+    const items = structured.sections.map(({ section, page }) => {
+      const label = escapeHTML(page ? `${section} - Page ${page}` : section);
+      return page
+        ? `<li><a href="${buildViewerLink({ page }, endpoint)}" target="_blank" rel="noopener noreferrer">${label}</a></li>`
+        : `<li>${label}</li>`;
+    });
+    html += field('Document Section/Page', `<ul>${items.join('')}</ul>`);
+  }
+ 
+  html += field('Confidence Score', renderConfidenceMeter(structured.confidence));
+ 
+  if (structured.notes.trim()) {
+    html += field('Additional Notes', sanitizeAssistantResponse(structured.notes, citations, references, endpoint).html);
+  }
+ 
+  return { html: `<div class="answer-card">${html}</div>`, references };
+ };
+ 
+ // -----------------------------------------------------
+ // Function: structuredAnswerToMarkdown()
+ // Purpose: Write a structured answer as Markdown with the same labelled fields as its card
+ //          (used by conversation reports). Reference markers are left in place.
+ // -----------------------------------------------------
+ const structuredAnswerToMarkdown = (structured) => {
+  const lines = ['**Extracted Insight**', '', structured.insight.trim()];
+  if (structured.sections.length) {
+    lines.push('', '**Document Section/Page**', '');
+    structured.sections.forEach(({ section, page }) => lines.push(`- ${page ? `${section} - Page ${page}` : section}`));
+  }
+  lines.push('', `**Confidence Score:** ${Math.round(structured.confidence)}%`);
+  if (structured.notes.trim()) {
+    lines.push('', '**Additional Notes**', '', structured.notes.trim());
+  }
+  return lines.join('\n');
+ };
+ 
+ // -----------------------------------------------------
+ // Function: getImageURL()
+ // Purpose: Where to load an answer image from: generated image files through the backend
+ //          (which holds the API key), image links only when they are https. Returns null
+ //          for anything else.
+ // -----------------------------------------------------
+ const getImageURL = (image, endpoint = '') => {
+  if (image.fileId) return backendUrl(endpoint, `${FILES_ENDPOINT}/${encodeURIComponent(image.fileId)}/content`);
+  return /^https:\/\//i.test(image.url || '') ? image.url : null;
+ };
+ 
+ // -----------------------------------------------------
+ // Function: renderAnswerImages()
+ // Purpose: Show the images in an answer (e.g. charts made by the code interpreter), each
+ //          linked to the full-size image.
+ // -----------------------------------------------------
+ const renderAnswerImages = (images = [], endpoint = '') => {
+  const links = images
+    .map((image) => getImageURL(image, endpoint))
+    .filter(Boolean)
+    .map(
+      (src) => `<a href="${escapeHTML(src)}" target="_blank" rel="noopener noreferrer">
+        <img src="${escapeHTML(src)}" alt="Image from the assistant's answer" class="answer-image">
+      </a>`
+    );
+  return links.length ? `<div class="answer-images">${links.join('')}</div>` : '';
+ };
+ 
+ // -----------------------------------------------------
+ // Function: renderCachedNotice()
+ // Purpose: Mark an answer the backend reused from an earlier identical question (see
+ //          lib/answerCache.js), with when it was first answered. Returns '' for fresh answers.
+ // -----------------------------------------------------
+ const renderCachedNotice = (cachedAt) =>
+  cachedAt
+    ? `<div class="cached-notice" title="This question was answered recently, so the same cited answer was reused.">
+        <i class="fa fa-bolt" style="margin-right: 5px;" aria-hidden="true"></i>Saved answer from ${escapeHTML(formatDateTime(cachedAt))}
+      </div>`
+    : '';
+ 
+ // -----------------------------------------------------
+ // Confidence indicators
+ // Each completed answer shows its confidence score as a meter, and answers with a low score
+ // or no citations at all carry a banner asking the user to verify them.
+ // -----------------------------------------------------
+ 
+ // -----------------------------------------------------
+ // Function: parseConfidence()
+ // Purpose: Read the score from a plain-text answer's "Confidence Score: 85%" line.
+ //          Returns a number from 0 to 100, or null when the answer has no score.
+ // -----------------------------------------------------
+ const parseConfidence = (text) => {
+  const match = text.match(/Confidence Score\W*?(\d{1,3}(?:\.\d+)?)\s*%/i);
+  return match ? Math.min(Number(match[1]), 100) : null;
+ };
+ 
+ // Confidence of a saved answer: the structured field, otherwise parsed from its text
+ const getConfidence = (entry) => (entry.structured ? entry.structured.confidence : parseConfidence(entry.text));
+ 
+ // -----------------------------------------------------
+ // Function: renderConfidenceMeter()
+ // Purpose: Build the meter for a confidence score: a bar filled to the score, coloured
+ //          green, amber or red (see LOW_CONFIDENCE / HIGH_CONFIDENCE), and the percentage.
+ // -----------------------------------------------------
+ const renderConfidenceMeter = (confidence) => {
+  const percent = Math.round(confidence);
+  const level = percent >= HIGH_CONFIDENCE ? 'high' : percent >= LOW_CONFIDENCE ? 'medium' : 'low';
+  return `<div class="confidence-meter confidence-${level}" title="Confidence score: ${percent}%">
+      <div class="confidence-track"><div class="confidence-fill" style="width: ${percent}%;"></div></div>
+      <span class="confidence-value">${percent}%</span>
+    </div>`;
+ };
+ 
+ // -----------------------------------------------------
+ // Function: renderVerificationBanner()
+ // Purpose: Build the warning shown above an answer that has a low confidence score or
+ //          cites no guidance passages. Returns '' when the answer needs no warning.
+ // -----------------------------------------------------
+ const renderVerificationBanner = (confidence, references, endpoint = '') => {
+  let reason;
+  if (confidence !== null && confidence < LOW_CONFIDENCE) {
+    reason = `This answer has a low confidence score (${Math.round(confidence)}%).`;
+  } else if (!references.length) {
+    reason = 'This answer does not cite any guidance passages.';
+  } else {
+    return '';
+  }
+  return `<div class="verify-banner">
+      <i class="fa fa-exclamation-triangle" style="margin-right: 6px;" aria-hidden="true"></i>${reason}
+      Verify it with the <a href="${buildViewerLink({ page: 1 }, endpoint)}" target="_blank" rel="noopener noreferrer">source guidance</a>
+      or <a href="${FDA_CONTACT_URL}" target="_blank" rel="noopener noreferrer">contact FDA</a> before relying on it.
+    </div>`;
+ };
+ 
+ // -------------------------------------------------------------------------------------
+ // Function: renderPartialResponse()
+ // Purpose: Sanitize a response that is still streaming in. A reference marker that has
+ //          only partly arrived (e.g. "【4:1") is held back until its closing bracket arrives,
+ //          so unifyConsecutiveReferences() only ever sees complete markers.
+ //          Returns { html, references } like sanitizeAssistantResponse().
+ // -------------------------------------------------------------------------------------
+ const renderPartialResponse = (text, endpoint = '') => {
+  const insight = extractPartialInsight(text);
+  return sanitizeAssistantResponse((insight === null ? text : insight).replace(/【[^】]*$/, ''), [], [], endpoint);
+ };
+ 
+ // -----------------------------------------------------
+ // Function: submitFeedback()
+ // Purpose: Send "Was this helpful?" feedback, with the question, answer and citations it
+ //          refers to, to the log of the backend at `endpoint` (/api/feedback). Throws if it is
+ //          not saved.
+ // -----------------------------------------------------
+ const submitFeedback = async (endpoint, feedback) => {
+  const response = await fetch(backendUrl(endpoint, FEEDBACK_ENDPOINT), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(feedback),
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Feedback request failed (${response.status})`);
+  }
+ };
+ 
+ // -----------------------------------------------------
+ // Function: createChatError()
+ // Purpose: Build the error for a failed chat request from the backend's { error, errorType,
+ //          runStatus } body. errorType is 'run' (the assistant's run ended without an answer,
+ //          and runStatus says how: failed, cancelled, expired, incomplete, requires_action or
+ //          timeout), 'rate_limit', 'unavailable' or 'server'. The message is written for the
+ //          user by the backend (see describeChatError() in server.js).
+ // -----------------------------------------------------
+ const createChatError = (data) => {
+  const error = new Error(data.error || 'Failed to get a response from the assistant.');
+  error.errorType = data.errorType || 'server';
+  error.runStatus = data.runStatus || null;
+  return error;
+ };
+ 
+ // -----------------------------------------------------
+ // Function: getErrorMessage()
+ // Purpose: Choose the message shown in the chat for a failed question. Only messages written
+ //          by the backend for the user are shown as they are.
+ // -----------------------------------------------------
+ const getErrorMessage = (error) => {
+  if (error.errorType) return error.message;
+  // fetch() rejects with a TypeError when the backend cannot be reached at all
+  if (error instanceof TypeError) {
+    return 'The PrecisionFDA server could not be reached. Check your connection and try again.';
+  }
+  return 'Sorry, there was an error processing your request.';
+ };
+ 
+ // -------------------------------------------------------------------------------------
+ // Function: askAssistant()
+ // Purpose: Send the user's question (and optional uploaded attachment) to the widget's backend
+ //          (`endpoint`, /api/chat), which adds it to the conversation's thread (`threadId`, or a new
+ //          thread when null), runs the assistant and returns its answer. The thread ID
+ //          returned by the backend is passed to onThread(threadId), so the caller can store it
+ //          and follow-up questions keep their context.
+ //          Resolves to { answer, structured, images, citations, model, assistantId, cachedAt };
+ //          structured is the validated answer object (or null, see "Structured answers"), images
+ //          are the answer's image outputs (see getImageURL()), citations resolve the answer's
+ //          reference markers, model/assistantId identify what produced the answer, and
+ //          cachedAt is set when the backend reused an earlier answer (otherwise null).
+ //          Throws if the request fails (see createChatError()); aborting the signal makes the
+ //          backend cancel the run.
+ //          The OpenAI API key and Assistant ID live only on the server (see server.js).
+ // -------------------------------------------------------------------------------------
+ const askAssistant = async (userInput, { endpoint = '', attachment = null, threadId = null, onThread, signal } = {}) => {
+  const response = await fetch(backendUrl(endpoint, API_ENDPOINT), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: userInput, threadId, attachment }),
+    signal,
+  });
+  const data = await response.json().catch(() => ({}));
+ 
+  if (!response.ok) {
+    console.error('Error from chat backend:', response.status, data);
+    throw createChatError(data);
+  }
+  if (data.threadId && onThread) {
+    onThread(data.threadId);
+  }
+  return {
+    answer: data.answer || 'No response from assistant.',
+    structured: data.structured || null,
+    images: data.images || [],
+    citations: data.citations || [],
+    model: data.model || null,
+    assistantId: data.assistantId || null,
+    cachedAt: data.cached ? data.cachedAt : null,
+  };
+ };
+ 
+ // -----------------------------------------------------
+ // Function: validateAttachment()
+ // Purpose: Check an attachment's type and size before uploading it.
+ //          Returns an error message, or null when the file is acceptable.
+ // -----------------------------------------------------
+ const validateAttachment = (file) => {
+  const extension = file.name.split('.').pop().toLowerCase();
+  if (!UPLOAD_TYPES.includes(extension)) {
+    return 'Only PDF, DOCX, TXT and CSV files can be attached.';
+  }
+  if (file.size > MAX_UPLOAD_BYTES) {
+    return `Attachments must be ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB or smaller.`;
+  }
+  return null;
+ };
+ 
+ // -----------------------------------------------------
+ // Function: uploadAttachment()
+ // Purpose: Upload an attachment to the backend at `endpoint` (/api/files), reporting progress
+ //          through onProgress(percent). Uses XMLHttpRequest because fetch() has no upload
+ //          progress. Resolves to { fileId, fileName } for the chat request.
+ // -----------------------------------------------------
+ const uploadAttachment = (file, onProgress, endpoint = '') =>
+  new Promise((resolve, reject) => {
+    const formData = new FormData();
+    formData.append('file', file);
+ 
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', backendUrl(endpoint, FILES_ENDPOINT));
+    xhr.responseType = 'json';
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) {
+        onProgress(Math.round((event.loaded / event.total) * 100));
+      }
+    };
+    xhr.onload = () => {
+      const data = xhr.response || {};
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve({ fileId: data.fileId, fileName: data.fileName });
+      } else {
+        reject(new Error(data.error || 'The attachment could not be uploaded.'));
+      }
+    };
+    xhr.onerror = () => reject(new Error('The attachment could not be uploaded.'));
+    xhr.send(formData);
+  });
+ 
+ // -----------------------------------------------------
+ // Function: readEventStream()
+ // Purpose: Read a Server-Sent Events response body and call onEvent(event, data)
+ //          for each event, with data parsed from JSON.
+ // -----------------------------------------------------
+ const readEventStream = async (body, onEvent) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+ 
+  const dispatch = (block) => {
+    let event = 'message';
+    let data = '';
+    block.split('\n').forEach((line) => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data += line.slice(5).trim();
+    });
+    if (data) onEvent(event, JSON.parse(data));
+  };
+ 
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+  if (buffer.trim()) dispatch(buffer.trim());
+ };
+ 
+ // -------------------------------------------------------------------------------------
+ // Function: streamAssistant()
+ // Purpose: Same as askAssistant(), but reads the answer from /api/chat/stream and calls
+ //          onDelta(text) for every piece of the raw reply as it arrives. Aborting the signal
+ //          closes the stream, which makes the backend cancel the run.
+ //          Resolves to { answer, structured, images, citations, model, assistantId, cachedAt } once the answer is complete;
+ //          throws if the stream reports an error.
+ // -------------------------------------------------------------------------------------
+ const streamAssistant = async (userInput, { endpoint = '', attachment = null, threadId = null, onThread, onDelta, signal }) => {
+  const response = await fetch(backendUrl(endpoint, STREAM_ENDPOINT), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: userInput, threadId, attachment }),
+    signal,
+  });
+  if (!response.ok || !response.body) {
+    throw createChatError(await response.json().catch(() => ({})));
+  }
+ 
+  let result = null;
+  await readEventStream(response.body, (event, data) => {
+    if (event === 'thread') {
+      if (onThread) onThread(data.threadId);
+    } else if (event === 'delta') {
+      onDelta(data.text);
+    } else if (event === 'done') {
+      result = {
+        answer: data.answer,
+        structured: data.structured || null,
+        images: data.images || [],
+        citations: data.citations || [],
+        model: data.model || null,
+        assistantId: data.assistantId || null,
+        cachedAt: data.cached ? data.cachedAt : null,
+      };
+    } else if (event === 'error') {
+      throw createChatError(data);
+    }
+  });
+  if (result === null) {
+    throw new Error('The response stream ended before the answer was complete.');
+  }
+  return result;
+ };
+ 
+ // Streaming needs fetch() response bodies; older browsers fall back to askAssistant()
+ const supportsStreaming = () =>
+  typeof ReadableStream !== 'undefined' && typeof AbortController !== 'undefined';
+ 
+ // -----------------------------------------------------
+ // Conversation reports (export)
+ // A report lists each question with its answer, numbered citations, the answer's reference
+ // list (as in its Explain panel), timestamps and the assistant/model that answered.
+ // -----------------------------------------------------
+ 
+ // -----------------------------------------------------
+ // Function: buildReport()
+ // Purpose: Collect a saved conversation into the exchanges of a report:
+ //          [{ question, answer }], where an answer's text has plain "[1,2]" citation numbers
+ //          and `references` lists the cited passages in that numbering, each with the `url`
+ //          that opens it in the viewer of the widget's backend (`endpoint`, also kept on the
+ //          report for the answers' images).
+ // -----------------------------------------------------
+ const buildReport = (conversation, endpoint = '') => {
+  const exchanges = [];
+  conversation.messages.forEach((entry) => {
+    if (entry.sender === 'user') {
+      exchanges.push({ question: entry, answer: null });
+      return;
+    }
+    const references = [];
+    let { text } = entry;
+    if (entry.structured) {
+      text = structuredAnswerToMarkdown(entry.structured);
+    } else if (entry.stopped) {
+      const insight = extractPartialInsight(text);
+      text = (insight === null ? text : insight).replace(/【[^】]*$/, '');
+    }
+    const answer = {
+      ...entry,
+      text: unifyConsecutiveReferences(text, entry.citations || [], references, (indices) => `[${indices.join(',')}]`),
+      references: references.map((ref) => ({ ...ref, url: getReferenceURL(ref, endpoint) })),
+    };
+    const last = exchanges[exchanges.length - 1];
+    if (last && !last.answer) {
+      last.answer = answer;
+    } else {
+      exchanges.push({ question: null, answer });
+    }
+  });
+ 
+  // Every assistant/model combination that answered, e.g. "asst_abc (gpt-4o)"
+  const assistants = [
+    ...new Set(
+      conversation.messages
+        .filter((entry) => entry.assistantId || entry.model)
+        .map((entry) => `${entry.assistantId || 'Assistant'}${entry.model ? ` (${entry.model})` : ''}`)
+    ),
+  ];
+  return { title: conversation.title, exportedAt: Date.now(), assistants, exchanges, endpoint };
+ };
+ 
+ // Absolute viewer URL for a reference, or null when it cannot be opened
+ const getReferenceURL = (ref, endpoint) =>
+  ref.page || ref.quote ? new URL(buildViewerLink(ref, endpoint), window.location.href).href : null;
+ 
+ // Heading line for an answer: its time, the model that wrote it and whether it was reused
+ const describeAnswer = (answer) =>
+  `${formatDateTime(answer.time)}${answer.model ? ` · ${answer.model}` : ''}${
+    answer.cachedAt ? ` · saved answer from ${formatDateTime(answer.cachedAt)}` : ''
+  }`;
+ 
+ // -----------------------------------------------------
+ // Function: buildMarkdownReport()
+ // Purpose: Write a report as Markdown, ready to paste into a memo.
+ // -----------------------------------------------------
+ const buildMarkdownReport = (report) => {
+  const lines = [
+    `# ${report.title}`,
+    '',
+    `Exported from PrecisionFDA AI Agent on ${formatDateTime(report.exportedAt)}`,
+  ];
+  if (report.assistants.length) lines.push(`Assistant: ${report.assistants.join(', ')}`);
+ 
+  report.exchanges.forEach(({ question, answer }, i) => {
+    lines.push('', '---', '', `## Question ${i + 1}`, '');
+    if (question) {
+      lines.push(`*${formatDateTime(question.time)}*`, '');
+      lines.push(...question.text.split('\n').map((line) => `> ${line}`));
+      if (question.attachmentName) lines.push('', `Attachment: ${question.attachmentName}`);
+    }
+    if (!answer) return;
+    lines.push('', '### Answer', '', `*${describeAnswer(answer)}*`, '');
+    lines.push(answer.isError ? `**Error:** ${answer.text}` : answer.text.trim());
+    (answer.images || [])
+      .map((image) => getImageURL(image, report.endpoint))
+      .filter(Boolean)
+      .forEach((src) => {
+        lines.push('', `![Image from the answer](${new URL(src, window.location.href).href})`);
+      });
+    if (answer.stopped) lines.push('', '_Response stopped._');
+    if (answer.references.length) {
+      lines.push('', '**References**', '');
+      answer.references.forEach((ref, index) => {
+        lines.push(`${index + 1}. ${ref.label}`);
+        if (ref.quote) lines.push(`   > ${ref.quote}`);
+        if (ref.url) lines.push(`   ${ref.url}`);
+      });
+    }
+  });
+  return `${lines.join('\n')}\n`;
+ };
+ 
+ // -----------------------------------------------------
+ // Function: buildHTMLReport()
+ // Purpose: Write a report as a standalone HTML document (also used to print it as a PDF).
+ //          Answers are rendered from markdown with the same sanitizer as the chat.
+ // -----------------------------------------------------
+ const buildHTMLReport = (report) => {
+  const sections = report.exchanges.map(({ question, answer }, i) => {
+    let html = `<h2>Question ${i + 1}</h2>`;
+    if (question) {
+      html += `<p class="meta">${formatDateTime(question.time)}</p>`;
+      html += `<blockquote>${escapeHTML(question.text).replace(/\n/g, '<br>')}</blockquote>`;
+      if (question.attachmentName) html += `<p>Attachment: ${escapeHTML(question.attachmentName)}</p>`;
+    }
+    if (!answer) return html;
+    html += `<h3>Answer</h3><p class="meta">${escapeHTML(describeAnswer(answer))}</p>`;
+    html += answer.isError ? `<p class="error">${escapeHTML(answer.text)}</p>` : renderMarkdown(answer.text.trim());
+    (answer.images || [])
+      .map((image) => getImageURL(image, report.endpoint))
+      .filter(Boolean)
+      .forEach((src) => {
+        html += `<p><img src="${escapeHTML(new URL(src, window.location.href).href)}" alt="Image from the answer"></p>`;
+      });
+    if (answer.stopped) html += '<p><em>Response stopped.</em></p>';
+    if (answer.references.length) {
+      html += '<h4>References</h4><ol>';
+      answer.references.forEach((ref) => {
+        html += `<li>${ref.url ? `<a href="${escapeHTML(ref.url)}">${escapeHTML(ref.label)}</a>` : escapeHTML(ref.label)}`;
+        if (ref.quote) html += `<blockquote>${escapeHTML(ref.quote)}</blockquote>`;
+        html += '</li>';
+      });
+      html += '</ol>';
+    }
+    return html;
+  });
+ 
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(report.title)}</title>
+<style>
+  body { font-family: 'Proxima Nova', Helvetica, Arial, sans-serif; max-width: 800px; margin: 40px auto; padding: 0 20px; color: #222; line-height: 1.5; }
+  h1 { color: ${COLORS.primary}; }
+  h2 { border-top: 1px solid #ddd; padding-top: 20px; }
+  .meta { color: #888; font-size: 0.9em; margin-top: 0; }
+  .error { color: red; }
+  blockquote { margin: 4px 0 8px 12px; padding-left: 8px; border-left: 2px solid #ddd; color: #555; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; }
+  a { color: ${COLORS.primary}; }
+  img { max-width: 100%; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(report.title)}</h1>
+<p class="meta">Exported from PrecisionFDA AI Agent on ${formatDateTime(report.exportedAt)}${
+    report.assistants.length ? `<br>Assistant: ${escapeHTML(report.assistants.join(', '))}` : ''
+  }</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+ };
+ 
+ // -----------------------------------------------------
+ // Function: downloadFile()
+ // Purpose: Save generated text as a file through a temporary download link.
+ // -----------------------------------------------------
+ const downloadFile = (fileName, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = createElement('a', 'display: none;', '', { href: url, download: fileName });
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+ };
+ 
+ // -----------------------------------------------------
+ // Function: printReport()
+ // Purpose: Open the browser's print dialog for an HTML report, where it can be saved as a PDF.
+ //          The report is printed from a hidden frame, so no pop-up window is needed.
+ // -----------------------------------------------------
+ const printReport = (html) => {
+  const frame = createElement('iframe', 'position: fixed; width: 0; height: 0; border: 0;');
+  document.body.appendChild(frame);
+  frame.contentDocument.open();
+  frame.contentDocument.write(html);
+  frame.contentDocument.close();
+  frame.contentWindow.onafterprint = () => frame.remove();
+  frame.contentWindow.focus();
+  frame.contentWindow.print();
+ };
+ 
+ // -----------------------------------------------------
+ // Function: exportConversation()
+ // Purpose: Export a saved conversation as 'markdown', 'html' or 'pdf', with reference links
+ //          to the viewer of the widget's backend (`endpoint`).
+ // -----------------------------------------------------
+ const exportConversation = (conversation, format, endpoint = '') => {
+  const report = buildReport(conversation, endpoint);
+  const baseName = `pfda-conversation-${new Date(report.exportedAt).toISOString().slice(0, 10)}`;
+  if (format === 'markdown') {
+    downloadFile(`${baseName}.md`, buildMarkdownReport(report), 'text/markdown');
+  } else if (format === 'html') {
+    downloadFile(`${baseName}.html`, buildHTMLReport(report), 'text/html');
+  } else {
+    printReport(buildHTMLReport(report));
+  }
+ };
+ 
+ // -----------------------------------------------------
+ // Function: setupChatWidget()
+ // Purpose: Build a chat widget into the shadow root of its <pfda-chat> element (`host`):
+ //          load fonts/icons, create the chat bubble, and set up the chatbox with its UI
+ //          elements and event listeners. Each widget keeps its own state and element
+ //          references, so several widgets can share a page without touching the page's own
+ //          elements. `options` are complete widget options (see normalizeWidgetOptions()).
+ //          Returns the widget's controls: { open, close, ask, destroy }.
+ // -----------------------------------------------------
+ const setupChatWidget = (host, options) => {
+  const root = host.shadowRoot;
+ 
+  // Chat widget state
+  let chatButtonVisible = true;
+  let chatboxVisible = false;
+  let isDragging = false;
+  let preventClick = false;
+  // Element that had focus before the chatbox opened, given focus back when it closes
+  let focusBeforeOpen = null;
+  // Whether the chatbox fills most of the window (the header's expand button)
+  let isExpanded = false;
+  // True from sending a question until its answer (or error) is shown
+  let isSending = false;
+  // AbortController of the response being answered (null when idle); aborting it stops the answer
+  let activeResponse = null;
+  // Conversation on screen, as saved in the history (null until its first question is sent)
+  let currentConversation = null;
+  // Keeps this widget's thread and open conversation apart from other widgets (see getThreadId())
+  const { storageKey } = options;
+  // This widget's backend ('' for the page's own origin)
+  const { endpoint } = options;
+  // Where the bubble is and how big the chatbox is: as the user left them, else in the
+  // corner set by the `position` option
+  const [defaultVertical, defaultHorizontal] = getPositionSides(options.position);
+  const layout = getLayout(storageKey) || {
+    bubble: { horizontal: defaultHorizontal, x: 20, vertical: defaultVertical, y: 30 },
+    ...CHATBOX_SIZE,
+  };
+ 
+  Object.keys(options.theme).forEach((name) => host.style.setProperty(colorProperty(name), options.theme[name]));
+  loadPageFonts();
+  loadFontAwesome(root);
+  addCustomCSS(root);
+  addThinkingAnimationCSS(root);
+  const markdownReady = loadMarkdownLibraries(endpoint);
+  const btn = createButton(options);
+  const {
+    chatbox,
+    chatMessagesContainer,
+    header,
+    chatboxContent,
+    input,
+    sendButton,
+    fileDisplayContainer,
+    fileInput,
+    uploadProgress,
+    resetFileDisplayContainer,
+    sidebar,
+    historySearch,
+    historyList,
+    newChatBtn,
+    exportMenu,
+    resizeHandle,
+  } = createChatbox(options);
+ 
+  // Tell the host page about the widget: call the option's callback (onAnswer, onError, onOpen)
+  // and dispatch the matching event (pfda-answer, pfda-error, pfda-open) from the <pfda-chat>
+  // element. An error thrown by the callback is logged instead of breaking the widget.
+  const emitWidgetEvent = (name, detail) => {
+    host.dispatchEvent(new CustomEvent(`pfda-${name.slice(2).toLowerCase()}`, { detail, bubbles: true }));
+    if (typeof options[name] !== 'function') return;
+    try {
+      options[name](detail);
+    } catch (error) {
+      console.error(`PrecisionFDAChat ${name} callback failed:`, error);
+    }
+  };
+ 
+  // -----------------------------------------------------
+  // Function: setChatboxOpen()
+  // Purpose: Show or hide the chatbox; while it is open the chat bubble shows a "close" arrow.
+  //          Pass `focusInput` to move keyboard focus into the chatbox (when the user opened
+  //          it). Closing gives focus back to where it was before, if it was in the chatbox.
+  // -----------------------------------------------------
+  const setChatboxOpen = (open, { focusInput = false } = {}) => {
+    if (open === chatboxVisible) return;
+    chatboxVisible = open;
+    chatbox.style.display = chatboxVisible ? 'block' : 'none';
+    const label = chatboxVisible ? 'Close Chat' : 'Open Chat';
+    btn.innerHTML = chatboxVisible
+      ? '<i class="fa-solid fa-angle-down" style="font-size: 24px;" aria-hidden="true"></i>'
+      : createLogoHTML(options.logo);
+    btn.title = label;
+    btn.setAttribute('aria-label', label);
+    btn.setAttribute('aria-expanded', String(chatboxVisible));
+    adjustChatboxPosition();
+    if (chatboxVisible) {
+      focusBeforeOpen = root.activeElement || document.activeElement;
+      if (focusInput) input.focus();
+      emitWidgetEvent('onOpen');
+    } else if (chatbox.contains(root.activeElement)) {
+      const returnFocus = focusBeforeOpen && focusBeforeOpen.isConnected ? focusBeforeOpen : btn;
+      returnFocus.focus();
+    }
+  };
+ 
+  // Toggle chatbox visibility when the chat bubble button is clicked
+  btn.onclick = () => {
+    if (preventClick) {
+      preventClick = false;
+      return;
+    }
+    if (!isDragging) {
+      setChatboxOpen(!chatboxVisible, { focusInput: true });
+    }
+  };
+ 
+  // -------------------------------
+  // Chat header button actions
+  // -------------------------------
+  const clearBtn = header.querySelector('button:nth-child(3)');
+  const expandBtn = header.querySelector('button:nth-child(1)');
+  const historyBtn = header.querySelector('button:nth-child(4)');
+  const exportBtn = header.querySelector('button:nth-child(5)');
+ 
+  // Clear chat messages when clearBtn is clicked (with confirmation).
+  // The conversation stays in the history; the next question starts a fresh conversation.
+  clearBtn.onclick = (event) => {
+    event.stopPropagation();
+    if (isSending) return;
+    if (confirm('Are you sure you want to clear the chat content? It stays in your conversation history.')) {
+      showConversation(null);
+    }
+  };
+ 
+  // Show or hide the conversation history sidebar
+  historyBtn.onclick = (event) => {
+    event.stopPropagation();
+    toggleSidebar();
+  };
+ 
+  // Show or hide the export menu; each option exports the conversation on screen
+  const setExportMenuOpen = (open) => {
+    exportMenu.style.display = open ? 'flex' : 'none';
+    exportBtn.setAttribute('aria-expanded', String(open));
+  };
+  exportBtn.onclick = (event) => {
+    event.stopPropagation();
+    setExportMenuOpen(exportMenu.style.display !== 'flex');
+  };
+  exportMenu.querySelectorAll('button').forEach((option) => {
+    option.onclick = (event) => {
+      event.stopPropagation();
+      setExportMenuOpen(false);
+      if (!currentConversation || !currentConversation.messages.length) {
+        alert('There is no conversation to export yet.');
+        return;
+      }
+      exportConversation(currentConversation, option.dataset.format, endpoint);
+    };
+  });
+ 
+  // Expand or shrink the chatbox when expandBtn is clicked
+  // (shrinking goes back to the size the user chose; the expanded chatbox cannot be resized)
+  expandBtn.onclick = (event) => {
+    event.stopPropagation();
+    isExpanded = !isExpanded;
+    resizeHandle.style.display = isExpanded ? 'none' : 'block';
+    if (isExpanded) {
+      chatbox.style.width = '80%';
+      chatbox.style.height = '80%';
+      chatbox.style.top = '10%';
+      chatbox.style.left = '10%';
+      chatbox.style.right = '10%';
+      chatbox.style.bottom = '10%';
+      chatbox.style.margin = 'auto';
+      chatbox.style.position = 'fixed';
+    } else {
+      chatbox.style.margin = '';
+      adjustChatboxPosition();
+    }
+    setIconButton(expandBtn, isExpanded ? 'fa fa-compress' : 'fa fa-expand', isExpanded ? 'Shrink chat' : 'Expand chat');
+  };
+ 
+  // -----------------------------------------------------
+  // Function: sendMessage()
+  // Purpose: Handle sending a user message:
+  //          - Append the user message.
+  //          - Show a "thinking" indicator.
+  //          - Call the API and display the chatbot's response.
+  //          Pass `retry` ({ question, attachment, attachmentName } from a failed answer, or a
+  //          question from ask()) to send that question instead of the input box.
+  //          Resolves to the answer as passed to onAnswer, or null when nothing was answered.
+  // -----------------------------------------------------
+  const sendMessage = async (retry = null) => {
+    if (isSending) return null;
+    const file = retry ? null : fileInput.files[0] || null;
+    if (retry || input.value.trim() !== '' || file) {
+      isSending = true;
+      const userMessage = retry ? retry.question : input.value.trim() || DEFAULT_ATTACHMENT_QUESTION;
+      const attachmentName = retry ? retry.attachmentName : file && file.name;
+      if (!retry) input.value = '';
+      sendButton.style.color = 'gray';
+      // Screen readers announce the answer once it is complete, not while it streams in
+      chatMessagesContainer.setAttribute('aria-busy', 'true');
+ 
+      // Create and display the user's message (and attachment name) in the chat window
+      const userEntry = recordMessage({ sender: 'user', text: userMessage, attachmentName: attachmentName || null });
+      chatMessagesContainer.appendChild(createStoredMessage(userEntry));
+ 
+      // Add a "thinking" message to simulate the chatbot processing
+      const thinkingMessage = createThinkingMessage();
+      chatMessagesContainer.appendChild(thinkingMessage);
+      scrollToBottom();
+ 
+      // The placeholder (thinking dots, then the streaming bubble) is replaced by the final message
+      let placeholder = thinkingMessage;
+      const showFinalMessage = (finalMessage) => {
+        chatMessagesContainer.replaceChild(finalMessage, placeholder);
+        placeholder = finalMessage;
+      };
+      // Save the chatbot's reply to the conversation history and show it
+      const showReply = (reply) => {
+        const entry = recordMessage({ sender: 'chatbot', ...reply });
+        const conversation = currentConversation;
+        showFinalMessage(createStoredMessage(entry, getMessageActions(conversation, entry)));
+      };
+ 
+      let streamedText = '';
+      const onDelta = (text) => {
+        streamedText += text;
+        if (placeholder === thinkingMessage) {
+          showFinalMessage(createMessage('', 'chatbot'));
+        }
+        placeholder.querySelector('.message-content').innerHTML = renderPartialResponse(streamedText, endpoint).html;
+        scrollToBottom();
+      };
+ 
+      // An already uploaded attachment (retry) is reused
+      let attachment = retry ? retry.attachment : null;
+      try {
+        // Upload the attachment first so it can be attached to the thread message
+        if (file) {
+          try {
+            attachment = await uploadAttachment(file, (percent) => showUploadProgress(percent), endpoint);
+          } catch (error) {
+            const message = `Sorry, your attachment could not be uploaded. ${error.message}`;
+            showReply({ text: message, isError: true });
+            emitWidgetEvent('onError', { question: userMessage, message, error });
+            return null;
+          }
+        }
+ 
+        activeResponse = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        setSendIconMode(activeResponse ? 'stop' : 'send');
+        const signal = activeResponse ? activeResponse.signal : undefined;
+ 
+        // Call the API to process the message in the conversation's thread
+        const threadId = getThreadId(storageKey);
+        const onThread = (id) => setThreadId(id, storageKey);
+        const { answer, structured, images, citations, model, assistantId, cachedAt } = supportsStreaming()
+          ? await streamAssistant(userMessage, { endpoint, attachment, threadId, onThread, onDelta, signal })
+          : await askAssistant(userMessage, { endpoint, attachment, threadId, onThread, signal });
+ 
+        // The answer is rendered (references merged, markdown sanitized) by createStoredMessage()
+        showReply({ text: answer, structured, images, citations, model, assistantId, cachedAt });
+        const result = {
+          question: userMessage,
+          answer,
+          structured,
+          images,
+          citations,
+          model,
+          assistantId,
+          cachedAt,
+        };
+        emitWidgetEvent('onAnswer', result);
+        return result;
+      } catch (error) {
+        if (activeResponse && activeResponse.signal.aborted) {
+          showReply({ text: streamedText, stopped: true });
+        } else {
+          console.error('Error occurred while processing request:', error.message);
+          // The error bubble offers to send the same question (and attachment) again
+          const message = getErrorMessage(error);
+          showReply({
+            text: message,
+            isError: true,
+            retry: { question: userMessage, attachment, attachmentName: attachmentName || null },
+          });
+          emitWidgetEvent('onError', { question: userMessage, message, error });
+        }
+      } finally {
+        isSending = false;
+        activeResponse = null;
+        chatMessagesContainer.setAttribute('aria-busy', 'false');
+        setSendIconMode('send');
+        // Scroll to the bottom of the chat messages
+        scrollToBottom();
+        input.focus();
+        resetFileDisplayContainer();
+      }
+    }
+    return null;
+  };
+ 
+  // -----------------------------------------------------
+  // Function: recordMessage()
+  // Purpose: Add a message to the conversation on screen (starting a new conversation, titled
+  //          after the first question, if needed) and save it to the history.
+  //          Returns the stored entry.
+  // -----------------------------------------------------
+  const recordMessage = (message) => {
+    const now = Date.now();
+    if (!currentConversation) {
+      currentConversation = {
+        id: createId(),
+        title: titleFromQuestion(message.text),
+        threadId: null,
+        createdAt: now,
+        updatedAt: now,
+        messages: [],
+      };
+      setConversationId(currentConversation.id, storageKey);
+    }
+    const entry = { ...message, time: now };
+    currentConversation.messages.push(entry);
+    currentConversation.threadId = getThreadId(storageKey);
+    currentConversation.updatedAt = now;
+    saveConversation(currentConversation, options).then(() => {
+      if (sidebar.style.display === 'flex') renderHistoryList();
+    });
+    return entry;
+  };
+ 
+  // Backend, feedback and retry actions for a message of a conversation (see createStoredMessage())
+  const getMessageActions = (conversation, entry) => ({
+    endpoint,
+    onFeedback: (feedback) => sendAnswerFeedback(conversation, entry, feedback),
+    onRetry: () => sendMessage(entry.retry),
+  });
+ 
+  // -----------------------------------------------------
+  // Function: sendAnswerFeedback()
+  // Purpose: Send feedback on one answer of a conversation (with the question it answered)
+  //          and remember the rating in the history so the answer is not rated twice.
+  // -----------------------------------------------------
+  const sendAnswerFeedback = async (conversation, entry, feedback) => {
+    const index = conversation.messages.indexOf(entry);
+    const question = conversation.messages
+      .slice(0, index)
+      .reverse()
+      .find((message) => message.sender === 'user');
+    await submitFeedback(endpoint, {
+      ...feedback,
+      question: question ? question.text : '',
+      answer: entry.text,
+      structured: entry.structured || null,
+      citations: entry.citations || [],
+      model: entry.model || null,
+      assistantId: entry.assistantId || null,
+      threadId: conversation.threadId,
+      conversationId: conversation.id,
+      answeredAt: entry.time,
+    });
+    entry.feedback = { ...feedback, time: Date.now() };
+    conversation.updatedAt = Date.now();
+    saveConversation(conversation, options);
+  };
+ 
+  // -----------------------------------------------------
+  // Function: showConversation()
+  // Purpose: Put a saved conversation on screen (or an empty new one for null), switching the
+  //          assistant thread so follow-up questions continue where that conversation left off.
+  // -----------------------------------------------------
+  const showConversation = (conversation) => {
+    currentConversation = conversation;
+    setConversationId(conversation ? conversation.id : null, storageKey);
+    if (conversation && conversation.threadId) {
+      setThreadId(conversation.threadId, storageKey);
+    } else {
+      clearThreadId(storageKey);
+    }
+    chatMessagesContainer.innerHTML = '';
+    (conversation ? conversation.messages : []).forEach((entry) =>
+      chatMessagesContainer.appendChild(
+        createStoredMessage(entry, getMessageActions(conversation, entry))
+      )
+    );
+    resetFileDisplayContainer();
+    scrollToBottom();
+  };
+ 
+  // -----------------------------------------------------
+  // Function: renderHistoryList()
+  // Purpose: List the saved conversations in the sidebar, filtered by the search box
+  //          (matching titles and message text).
+  // -----------------------------------------------------
+  const renderHistoryList = async () => {
+    const query = historySearch.value.trim().toLowerCase();
+    const conversations = (await listConversations(options)).filter(
+      (conversation) =>
+        !query ||
+        conversation.title.toLowerCase().includes(query) ||
+        conversation.messages.some((entry) => entry.text.toLowerCase().includes(query))
+    );
+ 
+    historyList.innerHTML = '';
+    if (!conversations.length) {
+      historyList.appendChild(
+        createElement(
+          'div',
+          'padding: 10px; font-size: 0.85em; color: #888; text-align: center;',
+          query ? 'No matching conversations.' : 'No saved conversations yet.'
+        )
+      );
+      return;
+    }
+    conversations.forEach((conversation) => {
+      const isActive = Boolean(currentConversation && currentConversation.id === conversation.id);
+      historyList.appendChild(
+        createHistoryItem(conversation, isActive, {
+          onOpen: openConversation,
+          onRename: renameConversation,
+          onDelete: removeConversation,
+        })
+      );
+    });
+  };
+ 
+  // Reopen a saved conversation (not while an answer is still arriving)
+  const openConversation = (conversation) => {
+    if (isSending) return;
+    showConversation(conversation);
+    closeSidebar();
+    input.focus();
+  };
+ 
+  const renameConversation = async (conversation) => {
+    const title = prompt('Rename conversation', conversation.title);
+    if (!title || !title.trim()) return;
+    const renamed = currentConversation && currentConversation.id === conversation.id ? currentConversation : conversation;
+    renamed.title = title.trim();
+    renamed.updatedAt = Date.now();
+    await saveConversation(renamed, options);
+    renderHistoryList();
+  };
+ 
+  const removeConversation = async (conversation) => {
+    if (!confirm(`Delete the conversation "${conversation.title}"?`)) return;
+    const isCurrent = currentConversation && currentConversation.id === conversation.id;
+    if (isCurrent && isSending) return;
+    await deleteConversation(conversation.id, options);
+    if (isCurrent) showConversation(null);
+    renderHistoryList();
+  };
+ 
+  // -----------------------------------------------------
+  // Function: toggleSidebar()
+  // Purpose: Show or hide the conversation history sidebar (header button or Shift+}).
+  // -----------------------------------------------------
+  const toggleSidebar = () => {
+    const isOpen = sidebar.style.display === 'flex';
+    sidebar.style.display = isOpen ? 'none' : 'flex';
+    historyBtn.setAttribute('aria-expanded', String(!isOpen));
+    if (!isOpen) {
+      historySearch.value = '';
+      renderHistoryList();
+      historySearch.focus();
+    }
+  };
+  const closeSidebar = () => {
+    if (sidebar.style.display === 'flex') toggleSidebar();
+  };
+ 
+  historySearch.oninput = () => renderHistoryList();
+  newChatBtn.onclick = () => {
+    if (isSending) return;
+    showConversation(null);
+    closeSidebar();
+    input.focus();
+  };
+ 
+  // Reopen the conversation that was on screen before the page was reloaded, once the
+  // markdown renderer is available (unless a new question has been sent in the meantime)
+  const savedConversationId = getConversationId(storageKey);
+  if (savedConversationId) {
+    markdownReady
+      .then(() => getConversation(savedConversationId))
+      .then((conversation) => {
+        if (conversation && !currentConversation) showConversation(conversation);
+      });
+  }
+ 
+  // Show the attachment's upload progress in the file display container
+  const showUploadProgress = (percent) => {
+    fileDisplayContainer.style.display = 'flex';
+    uploadProgress.style.display = 'block';
+    uploadProgress.firstChild.style.width = `${percent}%`;
+    uploadProgress.setAttribute('aria-valuenow', String(percent));
+    uploadProgress.title = `Uploading... ${percent}%`;
+  };
+ 
+  // Scroll the message list so the newest message is visible
+  const scrollToBottom = () => {
+    chatMessagesContainer.scrollTop =
+      chatMessagesContainer.scrollHeight - chatMessagesContainer.clientHeight;
+  };
+ 
+  // Switch the send button between "send" and "stop" (while a response is streaming)
+  const setSendIconMode = (mode) => {
+    const isStop = mode === 'stop';
+    setIconButton(sendButton, isStop ? 'fa fa-stop' : 'fa fa-arrow-up', isStop ? 'Stop generating' : 'Send message');
+    sendButton.style.color = isStop || input.value.trim() || fileInput.files.length ? COLORS.primary : 'gray';
+  };
+ 
+  // Change the send button color based on whether there is text in the input field
+  input.oninput = () => {
+    if (isSending) return;
+    sendButton.style.color = input.value.trim() ? COLORS.primary : 'gray';
+  };
+ 
+  // Allow sending the message with the "Enter" key
+  input.onkeydown = (event) => {
+    if (event.key === 'Enter') {
+      sendMessage();
+    }
+  };
+ 
+  // Bind send action to the send button click; while a response streams in it stops the response
+  sendButton.onclick = () => {
+    if (activeResponse) {
+      activeResponse.abort();
+    } else {
+      sendMessage();
+    }
+  };
+ 
+  // Toggle the visibility of both the chat bubble button and the chatbox
+  const toggleChatVisibility = () => {
+    chatButtonVisible = !chatButtonVisible;
+    btn.style.display = chatButtonVisible ? 'flex' : 'none';
+    chatbox.style.display = chatButtonVisible && chatboxVisible ? 'block' : 'none';
+  };
+ 
+  // -----------------------------------------------------
+  // Keyboard shortcuts
+  // Each shortcut runs one of these actions (see SHORTCUTS). The keys come from getShortcuts()
+  // and can be changed in the shortcuts overlay.
+  // -----------------------------------------------------
+  const shortcuts = getShortcuts(options.shortcuts, storageKey);
+  const {
+    overlay: shortcutOverlay,
+    shortcutList,
+    status: shortcutStatus,
+    resetButton: resetShortcutsBtn,
+    closeButton: closeShortcutsBtn,
+  } = createShortcutOverlay();
+  // Action whose new keys are being recorded in the overlay (null when none)
+  let remappingAction = null;
+  // Element that had focus before the overlay opened, given focus back when it closes
+  let focusBeforeOverlay = null;
+ 
+  // What each shortcut does
+  const shortcutActions = {
+    toggleChat: () => setChatboxOpen(!chatboxVisible, { focusInput: true }),
+    clearChat: () => clearBtn.click(),
+    toggleExpand: () => expandBtn.click(),
+    toggleWidget: () => toggleChatVisibility(),
+    toggleHistory: () => toggleSidebar(),
+    showShortcuts: () => setShortcutOverlayOpen(shortcutOverlay.style.display !== 'flex'),
+  };
+ 
+  // Run the shortcut for a key pressed anywhere on the page, when the shared listener sends it
+  // to this widget (see dispatchShortcut()). Keys typed into a text field (on the host page or
+  // in the widget) are left alone unless Ctrl, Alt or Meta is held.
+  const handleShortcut = (event) => {
+    if (remappingAction) return;
+    const target = event.composedPath ? event.composedPath()[0] : event.target;
+    if (isEditableTarget(target) && !event.ctrlKey && !event.altKey && !event.metaKey) return;
+    const keys = formatShortcut(event);
+    const action = Object.keys(shortcuts).find((name) => shortcuts[name] === keys);
+    if (!action) return;
+    // Only the overlay's own shortcut works while the overlay is open
+    if (shortcutOverlay.style.display === 'flex' && action !== 'showShortcuts') return;
+    event.preventDefault();
+    shortcutActions[action]();
+  };
+  const shortcutWidget = { host, handleShortcut };
+  addShortcutWidget(shortcutWidget);
+  // Using the widget makes it the one shortcuts act on
+  const markShortcutWidgetUsed = () => useShortcutWidget(shortcutWidget);
+  host.addEventListener('focusin', markShortcutWidgetUsed);
+  host.addEventListener('pointerdown', markShortcutWidgetUsed);
+ 
+  // List the shortcuts in the overlay, each with a button to give it new keys
+  const renderShortcutList = () => {
+    shortcutList.innerHTML = '';
+    SHORTCUTS.forEach(({ action, label }) => {
+      const row = document.createElement('tr');
+      const name = createElement('th', 'padding: 4px 8px 4px 0; font-weight: normal; text-align: left;', '', {
+        scope: 'row',
+      });
+      name.textContent = label;
+      const keys = createElement(
+        'td',
+        'padding: 4px 8px; white-space: nowrap;',
+        '<kbd style="padding: 1px 6px; border: 1px solid #ccc; border-radius: 4px; background-color: #f5f5f5;"></kbd>'
+      );
+      keys.firstChild.textContent = shortcuts[action];
+      row.appendChild(name);
+      row.appendChild(keys);
+      const changeButton = createElement(
+        'button',
+        `padding: 2px 8px; border: none; background-color: transparent; color: ${COLORS.primary}; cursor: pointer;`,
+        remappingAction === action ? 'Press keys...' : 'Change',
+        { type: 'button', 'data-action': action, 'aria-label': `Change the keys to ${label.toLowerCase()}` }
+      );
+      changeButton.onclick = () => {
+        remappingAction = action;
+        shortcutStatus.textContent = `Press the new keys to ${label.toLowerCase()}, or Escape to cancel.`;
+        renderShortcutList();
+      };
+      const cell = createElement('td', 'padding: 4px 0; text-align: right;');
+      cell.appendChild(changeButton);
+      row.appendChild(cell);
+      shortcutList.appendChild(row);
+    });
+    if (remappingAction) shortcutList.querySelector(`[data-action="${remappingAction}"]`).focus();
+  };
+ 
+  // -----------------------------------------------------
+  // Function: remapShortcut()
+  // Purpose: Give the action being remapped the keys of a keydown in the overlay and save
+  //          the shortcuts. Keys already used by another shortcut, and Tab (which moves focus),
+  //          are refused with a message.
+  // -----------------------------------------------------
+  const remapShortcut = (event) => {
+    const keys = formatShortcut(event);
+    if (!keys) return;
+    const action = remappingAction;
+    const { label } = SHORTCUTS.find((shortcut) => shortcut.action === action);
+    const usedBy = SHORTCUTS.find((shortcut) => shortcut.action !== action && shortcuts[shortcut.action] === keys);
+    if (keys === 'Tab' || keys === 'Shift+Tab') {
+      shortcutStatus.textContent = 'Tab moves between controls, so it cannot be a shortcut. Press other keys.';
+      return;
+    }
+    if (usedBy) {
+      shortcutStatus.textContent = `${keys} already does "${usedBy.label}". Press other keys.`;
+      return;
+    }
+    shortcuts[action] = keys;
+    saveShortcuts(shortcuts, options.shortcuts, storageKey);
+    remappingAction = null;
+    renderShortcutList();
+    shortcutList.querySelector(`[data-action="${action}"]`).focus();
+    shortcutStatus.textContent = `${label} is now ${keys}.`;
+  };
+ 
+  // Show or hide the shortcuts overlay, moving focus into it and back out
+  const setShortcutOverlayOpen = (open) => {
+    remappingAction = null;
+    shortcutStatus.textContent = '';
+    if (open) {
+      focusBeforeOverlay = root.activeElement || document.activeElement;
+      renderShortcutList();
+      shortcutOverlay.style.display = 'flex';
+      shortcutList.querySelector('button').focus();
+    } else {
+      shortcutOverlay.style.display = 'none';
+      if (focusBeforeOverlay && focusBeforeOverlay.isConnected) focusBeforeOverlay.focus();
+    }
+  };
+ 
+  // While keys are being recorded every key goes to remapShortcut() (Escape cancels);
+  // otherwise Escape closes the overlay and Tab stays within it
+  shortcutOverlay.addEventListener('keydown', (event) => {
+    if (remappingAction) {
+      event.preventDefault();
+      event.stopPropagation();
+      if (event.key === 'Escape') {
+        const action = remappingAction;
+        remappingAction = null;
+        shortcutStatus.textContent = '';
+        renderShortcutList();
+        shortcutList.querySelector(`[data-action="${action}"]`).focus();
+      } else {
+        remapShortcut(event);
+      }
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      setShortcutOverlayOpen(false);
+    } else if (event.key === 'Tab') {
+      trapFocus(event, getFocusableElements(shortcutOverlay));
+    }
+  });
+  shortcutOverlay.onclick = (event) => {
+    if (event.target === shortcutOverlay) setShortcutOverlayOpen(false);
+  };
+  closeShortcutsBtn.onclick = () => setShortcutOverlayOpen(false);
+  resetShortcutsBtn.onclick = () => {
+    saveShortcuts(null, options.shortcuts, storageKey);
+    Object.assign(shortcuts, getShortcuts(options.shortcuts, storageKey));
+    remappingAction = null;
+    renderShortcutList();
+    shortcutStatus.textContent = 'Shortcuts are back to their defaults.';
+  };
+ 
+  // Whether an element of the widget is on screen (no ancestor hidden with display: none)
+  const isShown = (element) => {
+    for (let node = element; node && node !== root; node = node.parentNode) {
+      if (node.style && node.style.display === 'none') return false;
+    }
+    return true;
+  };
+ 
+  // The controls within `container` that can take keyboard focus, in tab order
+  const getFocusableElements = (container) =>
+    [...container.querySelectorAll('button, input, textarea, a[href]')].filter(
+      (element) => !element.disabled && isShown(element)
+    );
+ 
+  // Keep Tab and Shift+Tab cycling through `focusable`, wrapping around at either end
+  const trapFocus = (event, focusable) => {
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey && root.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && root.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  };
+ 
+  // -----------------------------------------------------
+  // Function: handleChatboxKeydown()
+  // Purpose: Keyboard use of the open chatbox. Escape closes the export menu, the history
+  //          sidebar or else the chatbox; Tab and Shift+Tab keep focus cycling between the
+  //          chat bubble and the chatbox.
+  // -----------------------------------------------------
+  const handleChatboxKeydown = (event) => {
+    if (!chatboxVisible) return;
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      if (exportMenu.style.display === 'flex') {
+        setExportMenuOpen(false);
+        exportBtn.focus();
+      } else if (sidebar.style.display === 'flex') {
+        closeSidebar();
+        historyBtn.focus();
+      } else {
+        setChatboxOpen(false);
+      }
+    } else if (event.key === 'Tab') {
+      trapFocus(event, [btn, ...getFocusableElements(chatbox)]);
+    }
+  };
+  btn.addEventListener('keydown', handleChatboxKeydown);
+  chatbox.addEventListener('keydown', handleChatboxKeydown);
+ 
+  // -----------------------------------------------------
+  // Function: applyBubblePosition()
+  // Purpose: Place the chat bubble where the layout says, kept inside the window.
+  // -----------------------------------------------------
+  const applyBubblePosition = () => {
+    const { horizontal, x, vertical, y } = layout.bubble;
+    btn.style.left = btn.style.right = btn.style.top = btn.style.bottom = '';
+    btn.style[horizontal] = `${clamp(x, 0, window.innerWidth - BUBBLE_SIZE)}px`;
+    btn.style[vertical] = `${clamp(y, 0, window.innerHeight - BUBBLE_SIZE)}px`;
+  };
+ 
+  // The chat bubble's box in the window, worked out from the layout
+  const getBubbleRect = () => {
+    const { horizontal, x, vertical, y } = layout.bubble;
+    const left = horizontal === 'left' ? x : window.innerWidth - BUBBLE_SIZE - x;
+    const top = vertical === 'top' ? y : window.innerHeight - BUBBLE_SIZE - y;
+    const box = {
+      left: clamp(left, 0, window.innerWidth - BUBBLE_SIZE),
+      top: clamp(top, 0, window.innerHeight - BUBBLE_SIZE),
+      width: BUBBLE_SIZE,
+      height: BUBBLE_SIZE,
+    };
+    return { ...box, right: box.left + BUBBLE_SIZE, bottom: box.top + BUBBLE_SIZE };
+  };
+ 
+  // -----------------------------------------------------
+  // Drag functionality for the chat bubble button, through Pointer Events so it works with
+  // a mouse, touch and pen. A press only becomes a drag after DRAG_THRESHOLD px. On drop the
+  // bubble snaps to a nearby window edge (see placeBubble()) and the layout is saved.
+  // -----------------------------------------------------
+  let dragStart = null;
+  btn.addEventListener('pointerdown', (e) => {
+    if (chatboxVisible || e.button !== 0) return;
+    isDragging = false;
+    dragStart = { x: e.clientX, y: e.clientY };
+    document.addEventListener('pointermove', handleDrag);
+    document.addEventListener('pointerup', stopDrag);
+    document.addEventListener('pointercancel', stopDrag);
+    btn.style.transition = 'none';
+  });
+ 
+  const handleDrag = (e) => {
+    const dx = e.clientX - dragStart.x;
+    const dy = e.clientY - dragStart.y;
+    if (!isDragging && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+    isDragging = true;
+    setTranslate(dx, dy, btn);
+  };
+ 
+  const stopDrag = (e) => {
+    document.removeEventListener('pointermove', handleDrag);
+    document.removeEventListener('pointerup', stopDrag);
+    document.removeEventListener('pointercancel', stopDrag);
+    btn.style.transition = 'all 0.3s ease';
+    if (isDragging) {
+      preventClick = true;
+      btn.style.transform = '';
+      if (e.type === 'pointerup') {
+        const { left, top } = getBubbleRect();
+        layout.bubble = placeBubble(left + e.clientX - dragStart.x, top + e.clientY - dragStart.y);
+        saveLayout(layout, storageKey);
+        applyBubblePosition();
+      }
+    }
+    adjustChatboxPosition();
+    isDragging = false;
+  };
+ 
+  // Helper to update the position of an element via CSS transform
+  const setTranslate = (xPos, yPos, el) => {
+    el.style.transform = `translate(${xPos}px, ${yPos}px)`;
+  };
+ 
+  // Sides of the window the chatbox is placed from (set by adjustChatboxPosition())
+  let chatboxAnchor = { left: true, top: true };
+ 
+  // -----------------------------------------------------
+  // Function: adjustChatboxPosition()
+  // Purpose: Size the chatbox as the layout says and place it next to the chat bubble, on
+  //          the side of it with more room, always inside the window (it shrinks to fit a
+  //          window that is too small). The resize handle goes in the corner away from the
+  //          bubble. The expanded chatbox is left alone.
+  // -----------------------------------------------------
+  const adjustChatboxPosition = () => {
+    if (isExpanded) return;
+    const bubbleRect = getBubbleRect();
+    const viewportWidth = window.innerWidth;
+    const viewportHeight = window.innerHeight;
+    const width = fitChatboxSize(layout.width, MIN_CHATBOX_SIZE.width, viewportWidth);
+    const height = fitChatboxSize(layout.height, MIN_CHATBOX_SIZE.height, viewportHeight);
+    const bubbleCenterX = bubbleRect.left + bubbleRect.width / 2;
+    const bubbleCenterY = bubbleRect.top + bubbleRect.height / 2;
+    const buffer = 20;
+    chatbox.style.width = `${width}px`;
+    chatbox.style.height = `${height}px`;
+    chatboxAnchor = { left: bubbleCenterX < viewportWidth / 2, top: bubbleCenterY < viewportHeight / 2 };
+ 
+    // Position chatbox to the right or left depending on where the bubble is
+    if (chatboxAnchor.left) {
+      chatbox.style.left = `${clamp(bubbleRect.right + buffer, 0, viewportWidth - width)}px`;
+      chatbox.style.right = 'auto';
+    } else {
+      chatbox.style.left = 'auto';
+      chatbox.style.right = `${clamp(viewportWidth - bubbleRect.left + buffer, 0, viewportWidth - width)}px`;
+    }
+ 
+    // Position chatbox above or below depending on the bubble's vertical location
+    if (chatboxAnchor.top) {
+      chatbox.style.top = `${clamp(bubbleRect.bottom + buffer, 0, viewportHeight - height)}px`;
+      chatbox.style.bottom = 'auto';
+    } else {
+      chatbox.style.top = 'auto';
+      chatbox.style.bottom = `${clamp(viewportHeight - bubbleRect.top + buffer, 0, viewportHeight - height)}px`;
+    }
+ 
+    // The chatbox grows away from the sides it is placed from, so the handle sits opposite them
+    resizeHandle.style.left = chatboxAnchor.left ? 'auto' : '0';
+    resizeHandle.style.right = chatboxAnchor.left ? '0' : 'auto';
+    resizeHandle.style.top = chatboxAnchor.top ? 'auto' : '0';
+    resizeHandle.style.bottom = chatboxAnchor.top ? '0' : 'auto';
+    resizeHandle.style.cursor = chatboxAnchor.left === chatboxAnchor.top ? 'nwse-resize' : 'nesw-resize';
+  };
+ 
+  // A chatbox width or height of at least `minimum`, unless that does not fit in the window
+  const fitChatboxSize = (size, minimum, viewportSize) =>
+    Math.min(Math.max(size, minimum), viewportSize - 2 * EDGE_MARGIN);
+ 
+  // Resize the chatbox (within MIN_CHATBOX_SIZE and the window)
+  const resizeChatbox = (width, height) => {
+    layout.width = fitChatboxSize(Math.round(width), MIN_CHATBOX_SIZE.width, window.innerWidth);
+    layout.height = fitChatboxSize(Math.round(height), MIN_CHATBOX_SIZE.height, window.innerHeight);
+    adjustChatboxPosition();
+  };
+ 
+  // -----------------------------------------------------
+  // Resize handle: drag it (mouse, touch or pen) or use the arrow keys (Right / Down to
+  // grow, Left / Up to shrink)
+  // -----------------------------------------------------
+  let resizeStart = null;
+  resizeHandle.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    resizeStart = { x: e.clientX, y: e.clientY, width: layout.width, height: layout.height };
+    document.addEventListener('pointermove', handleResize);
+    document.addEventListener('pointerup', stopResize);
+    document.addEventListener('pointercancel', stopResize);
+    chatbox.style.transition = 'none';
+  });
+ 
+  const handleResize = (e) => {
+    const dx = e.clientX - resizeStart.x;
+    const dy = e.clientY - resizeStart.y;
+    resizeChatbox(
+      resizeStart.width + (chatboxAnchor.left ? dx : -dx),
+      resizeStart.height + (chatboxAnchor.top ? dy : -dy)
+    );
+  };
+ 
+  const stopResize = () => {
+    document.removeEventListener('pointermove', handleResize);
+    document.removeEventListener('pointerup', stopResize);
+    document.removeEventListener('pointercancel', stopResize);
+    chatbox.style.transition = 'all 0.3s ease';
+    saveLayout(layout, storageKey);
+  };
+ 
+  resizeHandle.addEventListener('keydown', (e) => {
+    if (!RESIZE_KEYS[e.key]) return;
+    e.preventDefault();
+    const [dw, dh] = RESIZE_KEYS[e.key];
+    resizeChatbox(layout.width + dw, layout.height + dh);
+    saveLayout(layout, storageKey);
+  });
+ 
+  // Keep the bubble and the chatbox inside the window when it is resized
+  const handleWindowResize = () => {
+    applyBubblePosition();
+    adjustChatboxPosition();
+  };
+  window.addEventListener('resize', handleWindowResize);
+  applyBubblePosition();
+  adjustChatboxPosition();
+ 
+  // Add the chat bubble button, chatbox and shortcuts overlay to the widget's shadow root
+  root.appendChild(btn);
+  root.appendChild(chatbox);
+  root.appendChild(shortcutOverlay);
+ 
+  // -----------------------------------------------------
+  // Function: destroy()
+  // Purpose: Take the widget down when its element leaves the page: stop the answer in
+  //          progress, remove the listeners on the document and empty the shadow root.
+  // -----------------------------------------------------
+  const destroy = () => {
+    if (activeResponse) activeResponse.abort();
+    removeShortcutWidget(shortcutWidget);
+    host.removeEventListener('focusin', markShortcutWidgetUsed);
+    host.removeEventListener('pointerdown', markShortcutWidgetUsed);
+    document.removeEventListener('pointermove', handleDrag);
+    document.removeEventListener('pointerup', stopDrag);
+    document.removeEventListener('pointercancel', stopDrag);
+    document.removeEventListener('pointermove', handleResize);
+    document.removeEventListener('pointerup', stopResize);
+    document.removeEventListener('pointercancel', stopResize);
+    window.removeEventListener('resize', handleWindowResize);
+    root.replaceChildren();
+  };
+ 
+  return {
+    open: () => setChatboxOpen(true),
+    close: () => setChatboxOpen(false),
+    // Open the chatbox and send the question as if the user had typed it
+    ask: (question) => {
+      setChatboxOpen(true);
+      return sendMessage({ question, attachment: null, attachmentName: null });
+    },
+    destroy,
+  };
+ };
+ 
+ // -----------------------------------------------------
+ // Function: createChatbox()
+ // Purpose: Build the complete chatbox UI, including header, message container, input area, and file upload section.
+ //          The `position`, `title` and `placeholder` options set its corner and texts.
+ // -----------------------------------------------------
+ const createChatbox = ({ position, title: titleText, placeholder } = DEFAULT_OPTIONS) => {
+  const [vertical, horizontal] = getPositionSides(position);
+  // Main chatbox container
+  const chatbox = createElement(
+    'div',
+    `
+      width: ${CHATBOX_SIZE.width}px;
+      height: ${CHATBOX_SIZE.height}px;
+      position: fixed;
+      ${vertical}: 110px;
+      ${horizontal}: 20px;
+      background-color: ${COLORS.secondary};
+      box-shadow: 0px 10px 15px rgba(0,0,0,0.2);
+      overflow: hidden;
+      padding: 0;
+      box-sizing: border-box;
+      border-radius: 15px;
+      display: none;
+      font-family: 'Proxima Nova', Helvetica, Arial, sans-serif;
+      transition: all 0.3s ease;
+      z-index: 1001;
+      font-size: 1.05em;
+    `,
+    '',
+    { id: CHATBOX_ID, role: 'dialog', 'aria-label': titleText }
+  );
+ 
+  // Container for chat content
+  const chatboxContent = createElement(
+    'div',
+    `
+      position: relative;
+      width: 100%;
+      height: 100%;
+      display: flex;
+      flex-direction: column;
+      background-color: ${COLORS.secondary};
+    `
+  );
+ 
+  // Header section with title and action buttons
+  const header = createElement(
+    'div',
+    `
+      width: 100%;
+      height: 40px;
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      padding: 0 10px;
+      box-sizing: border-box;
+      background-color: ${COLORS.primary};
+      flex-shrink: 0;
+      border-bottom: 1px solid #eee;
+      font-size: 1.05em;
+    `,
+    '',
+    { class: 'chat-header' }
+  );
+ 
+  const expandBtn = createExpandButton();
+  const clearBtn = createClearButton();
+  const title = createElement(
+    'div',
+    `
+      font-weight: bold;
+      font-size: 18px;
+      color: ${COLORS.secondary};
+      flex-grow: 1;
+      text-align: center;
+    `
+  );
+  title.textContent = titleText;
+  const historyBtn = createHistoryButton();
+  header.appendChild(expandBtn);
+  header.appendChild(title);
+  header.appendChild(clearBtn);
+  header.appendChild(historyBtn);
+  header.appendChild(createExportButton());
+ 
+  // Container for chat messages, a live log so screen readers announce new answers
+  const chatMessagesContainer = createElement(
+    'div',
+    `
+      overflow-y: auto;
+      flex-grow: 1;
+      padding: 10px;
+      display: flex;
+      flex-direction: column;
+      background-color: ${COLORS.secondary};
+    `,
+    '',
+    { role: 'log', 'aria-live': 'polite', 'aria-label': 'Chat messages' }
+  );
+ 
+  // Input wrapper and file upload display container
+  const inputWrapper = createElement(
+    'div',
+    `
+      width: 100%;
+      box-sizing: border-box;
+      padding: 10px 10px 0 10px;
+      background-color: ${COLORS.secondary};
+      position: relative;
+    `
+  );
+ 
+  const fileDisplayContainer = createElement(
+    'div',
+    `
+      display: flex;
+      align-items: center;
+      padding: 5px 10px;
+      box-sizing: border-box;
+      background-color: #f1f1f1;
+      border-radius: 10px;
+      position: absolute;
+      bottom: 90px;
+      left: 10px;
+      max-width: calc(100% - 40px);
+      white-space: normal;
+      word-wrap: break-word;
+      display: none;
+      z-index: 1000;
+    `
+  );
+ 
+  const filePreviewIcon = createElement(
+    'i',
+    `
+      font-size: 16px;
+      margin-right: 5px;
+      color: gray;
+    `,
+    '',
+    { class: 'fa fa-file', 'aria-hidden': 'true' }
+  );
+ 
+  const filePreviewName = createElement(
+    'span',
+    'font-size: 0.9em;',
+    'No file chosen'
+  );
+  const removeFileIcon = createIconButton(
+    'fa fa-times',
+    'Remove attachment',
+    `
+      padding: 0;
+      font-size: 16px;
+      margin-left: 10px;
+      color: gray;
+    `
+  );
+ 
+  // Thin progress bar shown while the attachment uploads
+  const uploadProgress = createElement(
+    'div',
+    `
+      position: absolute;
+      left: 10px;
+      right: 10px;
+      bottom: 2px;
+      height: 3px;
+      background-color: #ddd;
+      border-radius: 2px;
+      overflow: hidden;
+      display: none;
+    `,
+    `<div style="width: 0%; height: 100%; background-color: ${COLORS.primary}; transition: width 0.2s ease;"></div>`,
+    { role: 'progressbar', 'aria-label': 'Upload progress', 'aria-valuemin': '0', 'aria-valuemax': '100' }
+  );
+ 
+  // Assemble the file display container with its components
+  fileDisplayContainer.appendChild(filePreviewIcon);
+  fileDisplayContainer.appendChild(filePreviewName);
+  fileDisplayContainer.appendChild(removeFileIcon);
+  fileDisplayContainer.appendChild(uploadProgress);
+ 
+  // Reset the file upload UI elements to their default state
+  const resetFileDisplayContainer = () => {
+    fileDisplayContainer.style.display = 'none';
+    filePreviewName.textContent = 'No file chosen';
+    uploadProgress.style.display = 'none';
+    uploadProgress.firstChild.style.width = '0%';
+    fileInput.value = '';
+  };
+  removeFileIcon.onclick = () => {
+    resetFileDisplayContainer();
+  };
+ 
+  // Container for the input field and associated icons
+  const inputContainer = createElement(
+    'div',
+    `
+      width: 100%;
+      display: flex;
+      align-items: center;
+      padding: 0 10px;
+      box-sizing: border-box;
+      background-color: ${COLORS.secondary};
+      border-radius: 25px;
+      box-shadow: 0 1px 1px rgba(0,0,0,0.1);
+      border: 1px solid #ddd;
+      margin-bottom: 5px;
+      font-size: 1.05em;
+    `
+  );
+ 
+  const input = createElement(
+    'input',
+    `
+      flex-grow: 1;
+      padding: 10px;
+      box-sizing: border-box;
+      margin-right: 5px;
+      border-radius: 25px;
+      font-family: 'Proxima Nova', Helvetica, Arial, sans-serif;
+      font-size: 0.9em;
+      border: none;
+      background-color: #f9f9f9;
+    `,
+    '',
+    { placeholder, 'aria-label': 'Message' }
+  );
+ 
+  // Hidden file input for uploads
+  const fileInput = createElement('input', '', '', {
+    type: 'file',
+    style: 'display: none;',
+    accept: UPLOAD_TYPES.map((extension) => `.${extension}`).join(','),
+  });
+ 
+  // Send button to trigger sending a message
+  const sendButton = createIconButton(
+    'fa fa-arrow-up',
+    'Send message',
+    `
+      padding: 0;
+      font-size: 20px;
+      margin-left: 10px;
+      color: gray;
+      align-self: center;
+    `
+  );
+ 
+  // Upload button to trigger file selection
+  const uploadButton = createIconButton(
+    'fa fa-paperclip',
+    'Attach a file',
+    `
+      padding: 0;
+      font-size: 20px;
+      margin-right: 10px;
+      color: gray;
+    `
+  );
+ 
+  inputContainer.appendChild(uploadButton);
+  inputContainer.appendChild(input);
+  inputContainer.appendChild(sendButton);
+  inputContainer.appendChild(fileInput);
+ 
+  // Append the file display container to the input wrapper
+  inputWrapper.appendChild(fileDisplayContainer);
+  inputWrapper.appendChild(inputContainer);
+ 
+  // Label to remind users about privacy (chat content not used for model training)
+  const label = createElement(
+    'div',
+    `
+      font-size: 0.78em;
+      color: #666;
+      text-align: center;
+      margin-bottom: 10px;
+    `,
+    'PrecisionFDA chats are not used to train our models. Please verify important info.'
+  );
+  inputWrapper.appendChild(label);
+ 
+  // Conversation history sidebar, shown over the messages below the header
+  const sidebar = createElement(
+    'div',
+    `
+      position: absolute;
+      top: 40px;
+      left: 0;
+      bottom: 0;
+      width: 80%;
+      max-width: 300px;
+      display: none;
+      flex-direction: column;
+      background-color: #fafafa;
+      border-right: 1px solid #ddd;
+      box-shadow: 5px 0 10px rgba(0,0,0,0.1);
+      z-index: 1001;
+    `,
+    '',
+    { id: 'chatSidebar', role: 'region', 'aria-label': 'Conversation history' }
+  );
+  const newChatBtn = createElement(
+    'button',
+    `
+      margin: 10px 10px 5px 10px;
+      padding: 6px 10px;
+      border: 1px solid ${COLORS.primary};
+      border-radius: 15px;
+      background-color: ${COLORS.secondary};
+      color: ${COLORS.primary};
+      font-family: 'Proxima Nova', Helvetica, Arial, sans-serif;
+      font-weight: bold;
+      cursor: pointer;
+    `,
+    '<i class="fa fa-plus" style="margin-right: 5px;" aria-hidden="true"></i>New chat',
+    { type: 'button' }
+  );
+  const historySearch = createElement(
+    'input',
+    `
+      margin: 5px 10px;
+      padding: 6px 10px;
+      border: 1px solid #ddd;
+      border-radius: 15px;
+      font-family: 'Proxima Nova', Helvetica, Arial, sans-serif;
+      font-size: 0.85em;
+    `,
+    '',
+    { placeholder: 'Search conversations', type: 'search', 'aria-label': 'Search conversations' }
+  );
+  const historyList = createElement('div', 'flex-grow: 1; overflow-y: auto;');
+  sidebar.appendChild(newChatBtn);
+  sidebar.appendChild(historySearch);
+  sidebar.appendChild(historyList);
+ 
+  // Export menu, opened from the header's export button
+  const exportMenu = createElement(
+    'div',
+    `
+      position: absolute;
+      top: 40px;
+      right: 10px;
+      display: none;
+      flex-direction: column;
+      background-color: ${COLORS.secondary};
+      border: 1px solid #ddd;
+      border-radius: 10px;
+      box-shadow: 0 5px 10px rgba(0,0,0,0.15);
+      overflow: hidden;
+      z-index: 1002;
+    `,
+    '',
+    { id: 'exportMenu', role: 'group', 'aria-label': 'Export format' }
+  );
+  [
+    ['markdown', 'Markdown (.md)'],
+    ['html', 'HTML (.html)'],
+    ['pdf', 'PDF (print)'],
+  ].forEach(([format, label]) => {
+    exportMenu.appendChild(
+      createElement(
+        'button',
+        `
+          padding: 8px 15px;
+          border: none;
+          background-color: transparent;
+          text-align: left;
+          font-family: 'Proxima Nova', Helvetica, Arial, sans-serif;
+          font-size: 0.9em;
+          cursor: pointer;
+        `,
+        label,
+        { 'data-format': format, class: 'history-item', type: 'button' }
+      )
+    );
+  });
+ 
+  // Handle for resizing the chatbox by dragging (or with the arrow keys), in the corner
+  // away from the chat bubble (see adjustChatboxPosition())
+  const resizeHandle = createIconButton(
+    'fa-solid fa-grip',
+    'Resize chat (arrow keys)',
+    `
+      position: absolute;
+      width: 16px;
+      height: 16px;
+      padding: 0;
+      font-size: 10px;
+      color: gray;
+      touch-action: none;
+      z-index: 1003;
+    `
+  );
+ 
+  // Assemble the chatbox content by appending header, messages, and input area
+  chatboxContent.appendChild(header);
+  chatboxContent.appendChild(chatMessagesContainer);
+  chatboxContent.appendChild(inputWrapper);
+  chatboxContent.appendChild(sidebar);
+  chatboxContent.appendChild(exportMenu);
+  chatbox.appendChild(chatboxContent);
+  chatbox.appendChild(resizeHandle);
+ 
+  // Bind click event to the upload button to trigger the hidden file input
+  uploadButton.onclick = () => {
+    fileInput.click();
+  };
+ 
+  // Update the file preview display when a file is selected, rejecting unsupported files
+  fileInput.onchange = () => {
+    const file = fileInput.files[0];
+    if (file) {
+      const validationError = validateAttachment(file);
+      if (validationError) {
+        alert(validationError);
+        fileInput.value = '';
+        return;
+      }
+      filePreviewName.textContent = file.name;
+      fileDisplayContainer.style.display = 'flex';
+      sendButton.style.color = COLORS.primary;
+      chatMessagesContainer.scrollTop =
+        chatMessagesContainer.scrollHeight - chatMessagesContainer.clientHeight;
+    }
+  };
+ 
+  return {
+    chatbox,
+    chatMessagesContainer,
+    header,
+    chatboxContent,
+    input,
+    sendButton,
+    fileDisplayContainer,
+    fileInput,
+    uploadProgress,
+    resetFileDisplayContainer,
+    sidebar,
+    historySearch,
+    historyList,
+    newChatBtn,
+    exportMenu,
+    resizeHandle,
+  };
+ };
+ 
+ // -----------------------------------------------------
+ // Function: createShortcutOverlay()
+ // Purpose: Build the keyboard shortcuts overlay (opened with "?"): a dialog over the page
+ //          with a table of the shortcuts, filled in by the widget, where each one can be
+ //          given new keys.
+ // -----------------------------------------------------
+ const createShortcutOverlay = () => {
+  const overlay = createElement(
+    'div',
+    `
+      position: fixed;
+      top: 0;
+      right: 0;
+      bottom: 0;
+      left: 0;
+      display: none;
+      align-items: center;
+      justify-content: center;
+      background-color: rgba(0,0,0,0.4);
+      z-index: 1003;
+      font-family: 'Proxima Nova', Helvetica, Arial, sans-serif;
+    `
+  );
+  const panel = createElement(
+    'div',
+    `
+      width: 360px;
+      max-width: 90%;
+      max-height: 90%;
+      overflow-y: auto;
+      box-sizing: border-box;
+      padding: 15px 20px;
+      border-radius: 15px;
+      background-color: ${COLORS.secondary};
+      color: #333;
+      box-shadow: 0px 10px 15px rgba(0,0,0,0.2);
+      font-size: 0.95em;
+    `,
+    `
+      <h2 id="shortcutsTitle" style="margin: 0 0 8px 0; font-size: 1.2em; color: ${COLORS.primary};">
+        Keyboard shortcuts
+      </h2>
+      <p style="margin: 0 0 10px 0; font-size: 0.9em; color: #555;">
+        While you type in a text field, shortcuts only work if you also hold Ctrl, Alt or Meta.
+      </p>
+    `,
+    { role: 'dialog', 'aria-modal': 'true', 'aria-labelledby': 'shortcutsTitle' }
+  );
+  const shortcutList = createElement('table', 'width: 100%; border-collapse: collapse;');
+  const status = createElement('div', 'min-height: 1.2em; margin: 8px 0; font-size: 0.9em; color: #555;', '', {
+    role: 'status',
+  });
+  const buttonStyles = `
+      padding: 5px 12px;
+      border: 1px solid ${COLORS.primary};
+      border-radius: 15px;
+      font-family: inherit;
+      cursor: pointer;
+    `;
+  const resetButton = createElement(
+    'button',
+    `${buttonStyles} background-color: ${COLORS.secondary}; color: ${COLORS.primary};`,
+    'Reset to defaults',
+    { type: 'button' }
+  );
+  const closeButton = createElement(
+    'button',
+    `${buttonStyles} background-color: ${COLORS.primary}; color: ${COLORS.secondary};`,
+    'Close',
+    { type: 'button' }
+  );
+  const buttons = createElement('div', 'display: flex; justify-content: flex-end; gap: 8px;');
+  buttons.appendChild(resetButton);
+  buttons.appendChild(closeButton);
+ 
+  panel.appendChild(shortcutList);
+  panel.appendChild(status);
+  panel.appendChild(buttons);
+  overlay.appendChild(panel);
+  return { overlay, shortcutList, status, resetButton, closeButton };
+ };
+ 
+ // -----------------------------------------------------
+ // Function: addCustomCSS()
+ // Purpose: Add minimal CSS for custom link styling used in the assistant responses to a
+ //          widget's shadow root. :host resets the properties the widget would otherwise
+ //          inherit from the host page (fonts, colours, line height...). Controls show a
+ //          focus ring when reached with the keyboard.
+ // -----------------------------------------------------
+ const addCustomCSS = (root) => {
+  const style = document.createElement('style');
+  style.textContent = `
+    :host {
+        all: initial;
+    }
+    button:focus-visible, input:focus-visible, textarea:focus-visible, a:focus-visible {
+        outline: 2px solid ${COLORS.primary};
+        outline-offset: 2px;
+    }
+    .chat-header button:focus-visible {
+        outline-color: ${COLORS.secondary};
+    }
+    .visually-hidden {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        margin: -1px;
+        padding: 0;
+        overflow: hidden;
+        clip: rect(0, 0, 0, 0);
+        white-space: nowrap;
+        border: 0;
+    }
+    .message-error {
+        color: ${COLORS.error};
+    }
+    .link-yes, .link-no {
+        padding: 5px 10px;
+        border-radius: 15px;
+        text-decoration: none;
+        font-weight: bold;
+        font-size: 16px;
+    }
+    .link-yes {
+        background-color: ${COLORS.linkYesBg};
+        color: ${COLORS.linkYesColor};
+    }
+    .link-no {
+        background-color: ${COLORS.linkNoBg};
+        color: ${COLORS.linkNoColor};
+    }
+    .history-item:hover {
+        background-color: #f1f1f1 !important;
+    }
+    .markdown-body p, .markdown-body ul, .markdown-body ol, .markdown-body pre,
+    .markdown-body table, .markdown-body blockquote {
+        margin: 0 0 8px 0;
+    }
+    .markdown-body h1, .markdown-body h2, .markdown-body h3,
+    .markdown-body h4, .markdown-body h5, .markdown-body h6 {
+        font-size: 1.05em;
+        margin: 10px 0 6px 0;
+    }
+    .markdown-body ul, .markdown-body ol {
+        padding-left: 20px;
+    }
+    .markdown-body a {
+        color: ${COLORS.primary};
+        text-decoration: none;
+    }
+    .markdown-body table {
+        border-collapse: collapse;
+        font-size: 0.95em;
+    }
+    .markdown-body th, .markdown-body td {
+        border: 1px solid #ddd;
+        padding: 4px 8px;
+        text-align: left;
+    }
+    .markdown-body th {
+        background-color: #f5f5f5;
+    }
+    .markdown-body code {
+        background-color: #f5f5f5;
+        border-radius: 3px;
+        padding: 1px 4px;
+        font-size: 0.9em;
+    }
+    .markdown-body pre {
+        background-color: #f5f5f5;
+        padding: 8px;
+        overflow-x: auto;
+        white-space: pre;
+    }
+    .markdown-body pre code {
+        padding: 0;
+    }
+    .markdown-body blockquote {
+        border-left: 2px solid #ddd;
+        padding-left: 8px;
+        color: #555;
+    }
+    .answer-field {
+        margin-bottom: 8px;
+    }
+    .answer-field:last-child {
+        margin-bottom: 0;
+    }
+    .confidence-meter {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        max-width: 220px;
+        margin: 2px 0 8px 0;
+    }
+    .confidence-track {
+        flex: 1;
+        height: 8px;
+        border-radius: 4px;
+        background-color: #e6e6e6;
+        overflow: hidden;
+    }
+    .confidence-fill {
+        height: 100%;
+        border-radius: 4px;
+    }
+    .confidence-value {
+        font-weight: bold;
+        font-size: 0.9em;
+        color: #333;
+    }
+    .confidence-high .confidence-fill { background-color: ${COLORS.confidenceHigh}; }
+    .confidence-medium .confidence-fill { background-color: ${COLORS.confidenceMedium}; }
+    .confidence-low .confidence-fill { background-color: ${COLORS.error}; }
+    .verify-banner {
+        background-color: ${COLORS.warningBg};
+        color: ${COLORS.warningColor};
+        border-left: 3px solid ${COLORS.confidenceMedium};
+        border-radius: 4px;
+        padding: 6px 10px;
+        margin-bottom: 8px;
+        font-size: 0.9em;
+    }
+    .verify-banner a {
+        color: ${COLORS.warningColor};
+        text-decoration: underline;
+    }
+    .answer-image {
+        display: block;
+        max-width: 100%;
+        margin: 4px 0 8px 0;
+        border: 1px solid #ddd;
+        border-radius: 4px;
+    }
+    .cached-notice {
+        display: inline-block;
+        margin-bottom: 6px;
+        padding: 2px 8px;
+        border-radius: 10px;
+        background-color: ${COLORS.linkYesBg};
+        color: ${COLORS.primary};
+        font-size: 0.8em;
+    }
+    .answer-label {
+        font-weight: bold;
+        font-size: 0.85em;
+        text-transform: uppercase;
+        letter-spacing: 0.03em;
+        color: ${COLORS.primary};
+        margin-bottom: 2px;
+    }
+  `;
+  root.appendChild(style);
+ };
+ 
+ // Add thinking animation CSS for the animated dots to a widget's shadow root. Users who ask
+ // for reduced motion get still dots and no transitions.
+ const addThinkingAnimationCSS = (root) => {
+  const style = document.createElement('style');
+  style.textContent = `
+    @keyframes bounce {
+      0%, 100% { transform: translateY(0); }
+      50% { transform: translateY(-5px); }
+    }
+    .thinking-dots span {
+        display: inline-block;
+        font-size: 1.2em;
+        animation: bounce 0.6s infinite;
+    }
+    .thinking-dots span:nth-child(2) {
+        animation-delay: 0.2s;
+    }
+    .thinking-dots span:nth-child(3) {
+        animation-delay: 0.4s;
+    }
+    @media (prefers-reduced-motion: reduce) {
+        .thinking-dots span {
+            animation: none;
+        }
+        * {
+            transition: none !important;
+        }
+    }
+  `;
+  root.appendChild(style);
+ };
+ 
+ // -----------------------------------------------------
+ // <pfda-chat> custom element
+ // Each <pfda-chat> element holds one widget in its own shadow root, so host page CSS and
+ // DOM cannot reach into it, and the widget only uses its own elements. Options are read
+ // when the element is added to the page: from its attributes (ELEMENT_ATTRIBUTES, plus
+ // the booleans start-open and sync-history) and from its `options` property, which also takes theme and the
+ // callbacks. Its endpoint, like the rest of its state, belongs to its widget alone.
+ // Removing the element takes its widget down.
+ // -----------------------------------------------------
+ // Attributes of <pfda-chat> and the options they set
+ const ELEMENT_ATTRIBUTES = {
+  endpoint: 'endpoint',
+  position: 'position',
+  'chat-title': 'title',
+  placeholder: 'placeholder',
+  logo: 'logo',
+  'storage-key': 'storageKey',
+ };
+ 
+ class PrecisionFDAChatElement extends HTMLElement {
+  connectedCallback() {
+    if (this.chatWidget) return;
+    const attributeOptions = {};
+    Object.keys(ELEMENT_ATTRIBUTES).forEach((attribute) => {
+      if (this.hasAttribute(attribute)) {
+        attributeOptions[ELEMENT_ATTRIBUTES[attribute]] = this.getAttribute(attribute);
+      }
+    });
+    if (this.hasAttribute('start-open')) attributeOptions.startOpen = true;
+    if (this.hasAttribute('sync-history')) attributeOptions.syncHistory = true;
+    const options = normalizeWidgetOptions({ ...attributeOptions, ...this.options });
+ 
+    if (!this.shadowRoot) this.attachShadow({ mode: 'open' });
+    // Controls of the widget (see setupChatWidget()), kept while the element is on the page
+    this.chatWidget = setupChatWidget(this, options);
+    if (options.startOpen) this.chatWidget.open();
+  }
+ 
+  disconnectedCallback() {
+    if (!this.chatWidget) return;
+    this.chatWidget.destroy();
+    this.chatWidget = null;
+  }
+ 
+  open() {
+    this.getChatWidget('open').open();
+  }
+ 
+  close() {
+    this.getChatWidget('close').close();
+  }
+ 
+  // Open the chatbox and ask a question for the user. Resolves to the answer (as passed to
+  // onAnswer), or null if it failed, was stopped or another question was still being answered.
+  ask(question) {
+    const widget = this.getChatWidget('ask');
+    if (typeof question !== 'string' || !question.trim()) {
+      throw new Error('PrecisionFDAChat: ask() needs a question.');
+    }
+    return widget.ask(question.trim());
+  }
+ 
+  // The widget's controls; they only exist while the element is on the page
+  getChatWidget(method) {
+    if (!this.chatWidget) {
+      throw new Error(`PrecisionFDAChat: ${method}() needs the <pfda-chat> element to be on the page.`);
+    }
+    return this.chatWidget;
+  }
+ }
+ 
+ if (!customElements.get('pfda-chat')) {
+  customElements.define('pfda-chat', PrecisionFDAChatElement);
+ }
+ 
+ // -----------------------------------------------------
+ // Public embedding API
+ // Host pages either add <pfda-chat> elements themselves or call
+ //   PrecisionFDAChat.init({ endpoint: 'https://chat.example.gov', position: 'bottom-left' });
+ // which adds one to the page. Options (defaults in DEFAULT_OPTIONS): endpoint (backend URL),
+ // theme (colours to override, keyed as in DEFAULT_COLORS), position (a corner in POSITIONS),
+ // title, placeholder, logo (image URL), startOpen, storageKey (keeps the conversation apart
+ // from other widgets on the page), syncHistory (back conversations up to the backend), and
+ // the callbacks onAnswer(answer),
+ // onError({ question, message, error }) and onOpen(). onAnswer receives { question, answer,
+ // structured, images, citations, model, assistantId, cachedAt } (see askAssistant()).
+ // -----------------------------------------------------
+ // Element added by init() (null until init() is called)
+ let chatElement = null;
+ 
+ // The element added by init(); every method except init() needs init() to have been called
+ const getChatElement = (method) => {
+  if (!chatElement) {
+    throw new Error(`PrecisionFDAChat.${method}() cannot be used before PrecisionFDAChat.init().`);
+  }
+  return chatElement;
+ };
+ 
+ const PrecisionFDAChat = {
+  // Add the widget to the page (replacing one added by an earlier init())
+  init: (options = {}) => {
+    // Check the options before the current widget is replaced
+    normalizeWidgetOptions(options);
+    PrecisionFDAChat.destroy();
+    chatElement = document.createElement('pfda-chat');
+    chatElement.options = options;
+    document.body.appendChild(chatElement);
+    return PrecisionFDAChat;
+  },
+  open: () => getChatElement('open').open(),
+  close: () => getChatElement('close').close(),
+  ask: (question) => getChatElement('ask').ask(question),
+  // Remove the widget from the page (nothing happens if init() was never called)
+  destroy: () => {
+    if (!chatElement) return;
+    chatElement.remove();
+    chatElement = null;
+  },
+ };
+ window.PrecisionFDAChat = PrecisionFDAChat;
+ 
+ // -----------------------------------------------------
+ // Project Details Log
+ // -----------------------------------------------------
+ console.log('PrecisionFDA AI Agent - Version 1.4.2 (stable) - Last updated: Feb 27, 2025');
+ 
+ // -----------------------------------------------------
+ // Test exports
+ // When the widget is loaded as a CommonJS module (the jest suite in test/), the text
+ // pipeline, DOM builders and embedding API are exported so they can be tested directly.
+ // Browsers have no `module`, so nothing changes for the page.
+ // -----------------------------------------------------
+ if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PrecisionFDAChat,
+    buildHTMLReport,
+    buildMarkdownReport,
+    buildReport,
+    createChatbox,
+    createMessage,
+    describeCitation,
+    linkReferences,
+    sanitizeAssistantResponse,
+    unifyConsecutiveReferences,
+  };
+ }
+ 
+ 
+ 
+ 
+ 
\ No newline at end of file
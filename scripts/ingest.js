@@ -0,0 +1,30 @@
+// PrecisionFDA AI Agent - Ingestion command
+// Usage: npm run ingest [-- <pdf path> [<index path>]]
+// Builds the page-accurate retrieval index used by the answer path (see lib/retrieval.js).
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_PDF_PATH, buildIndex } = require('../lib/ingest');
+const { DEFAULT_INDEX_PATH } = require('../lib/retrieval');
+
+const pdfPath = path.resolve(process.argv[2] || DEFAULT_PDF_PATH);
+const indexPath = path.resolve(process.argv[3] || DEFAULT_INDEX_PATH);
+
+const main = async () => {
+  console.log(`Ingesting ${pdfPath}...`);
+  const index = await buildIndex(pdfPath);
+
+  fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+  fs.writeFileSync(indexPath, JSON.stringify(index));
+
+  const sections = new Set(index.chunks.map((chunk) => chunk.section));
+  console.log(
+    `Wrote ${index.chunks.length} chunks from ${index.pageCount} pages ` +
+      `(${sections.size} sections, version ${index.version}) to ${indexPath}`
+  );
+};
+
+main().catch((error) => {
+  console.error('Ingestion failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,160 @@
+const axe = require('axe-core');
+const { loadWidget } = require('./helpers/loadWidget');
+const { registrationAnswer } = require('./fixtures/assistantOutputs');
+
+const { PrecisionFDAChat } = loadWidget();
+
+// The widget added by init(), its shadow root, chat bubble and chatbox
+const getRoot = () => document.querySelector('pfda-chat').shadowRoot;
+const getButton = () => getRoot().querySelector('button');
+const getChatbox = () => getButton().nextElementSibling;
+
+// A fetch() response from the chat backend
+const jsonResponse = (status, data) => ({ ok: status < 400, status, json: async () => data });
+
+const pressKey = (element, key, options = {}) =>
+  element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, composed: true, ...options }));
+
+// WCAG 2.1 A/AA and Section 508 violations in the widget, as "rule: element" strings.
+// Colour contrast needs a rendered layout, which jsdom does not have.
+const findViolations = async () => {
+  const { violations } = await axe.run(document.querySelector('pfda-chat'), {
+    runOnly: { type: 'tag', values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'section508'] },
+    rules: { 'color-contrast': { enabled: false } },
+  });
+  return violations.flatMap(({ id, nodes }) => nodes.map((node) => `${id}: ${node.target.join(' ')}`));
+};
+
+beforeEach(() => {
+  window.fetch = jest.fn();
+});
+
+afterEach(() => {
+  PrecisionFDAChat.destroy();
+  delete window.fetch;
+});
+
+describe('accessibility', () => {
+  test('has no axe violations while closed', async () => {
+    PrecisionFDAChat.init();
+    expect(await findViolations()).toEqual([]);
+  });
+
+  test('has no axe violations with an answer, its explanation, feedback form and the menus open', async () => {
+    window.fetch.mockResolvedValue(
+      jsonResponse(200, { answer: registrationAnswer.text, citations: registrationAnswer.citations })
+    );
+    PrecisionFDAChat.init();
+    await PrecisionFDAChat.ask('Who must register?');
+    const chatbox = getChatbox();
+    [...chatbox.querySelectorAll('button')].find((button) => button.textContent === 'Explain').click();
+    chatbox.querySelector('.link-no').click();
+    chatbox.querySelector('[aria-controls="exportMenu"]').click();
+
+    expect(await findViolations()).toEqual([]);
+  });
+
+  test('has no axe violations with the keyboard shortcuts overlay open', async () => {
+    PrecisionFDAChat.init();
+    pressKey(document.body, '?');
+    expect(await findViolations()).toEqual([]);
+  });
+
+  test('names every button, including the icon-only ones', () => {
+    PrecisionFDAChat.init();
+    const unnamed = [...getRoot().querySelectorAll('button')].filter(
+      (button) => !button.textContent.trim() && !button.getAttribute('aria-label')
+    );
+
+    expect(unnamed).toEqual([]);
+    expect(getChatbox().querySelector('[aria-label="Send message"] i').getAttribute('aria-hidden')).toBe('true');
+    expect(getChatbox().querySelector('[aria-label="Attach a file"]').tagName).toBe('BUTTON');
+  });
+
+  test('hides the icons of the saved-answer notice and verification banner from screen readers', async () => {
+    window.fetch.mockResolvedValue(
+      jsonResponse(200, { answer: 'Register by December 29, 2023.', cached: true, cachedAt: Date.now() })
+    );
+    PrecisionFDAChat.init();
+    await PrecisionFDAChat.ask('When?');
+
+    const icons = [...getChatbox().querySelectorAll('.fa-bolt, .fa-exclamation-triangle')];
+    expect(icons).toHaveLength(2);
+    icons.forEach((icon) => expect(icon.getAttribute('aria-hidden')).toBe('true'));
+  });
+
+  test('tells screen readers whether the chatbox is open', () => {
+    PrecisionFDAChat.init();
+    const button = getButton();
+
+    expect(button.getAttribute('aria-expanded')).toBe('false');
+    expect(getRoot().getElementById(button.getAttribute('aria-controls'))).toBe(getChatbox());
+    button.click();
+    expect(button.getAttribute('aria-expanded')).toBe('true');
+    expect(button.getAttribute('aria-label')).toBe('Close Chat');
+  });
+
+  test('announces answers through a live message log once they are complete', async () => {
+    window.fetch.mockResolvedValue(jsonResponse(200, { answer: 'Register by December 29, 2023.' }));
+    PrecisionFDAChat.init();
+    const log = getChatbox().querySelector('[role="log"]');
+
+    const answered = PrecisionFDAChat.ask('When?');
+    expect(log.getAttribute('aria-live')).toBe('polite');
+    expect(log.getAttribute('aria-busy')).toBe('true');
+    await answered;
+
+    expect(log.getAttribute('aria-busy')).toBe('false');
+    expect(log.textContent).toContain('Register by December 29, 2023.');
+  });
+
+  test('moves focus into the chatbox when opened, and back to the bubble on Escape', () => {
+    PrecisionFDAChat.init();
+    const button = getButton();
+    button.focus();
+
+    button.click();
+    expect(getRoot().activeElement).toBe(getChatbox().querySelector('input[aria-label="Message"]'));
+
+    pressKey(getRoot().activeElement, 'Escape');
+    expect(getChatbox().style.display).toBe('none');
+    expect(getRoot().activeElement).toBe(button);
+  });
+
+  test('keeps Tab focus cycling between the bubble and the open chatbox', () => {
+    PrecisionFDAChat.init();
+    const button = getButton();
+    button.focus();
+    button.click();
+    const controls = [...getChatbox().querySelectorAll('button, input')].filter((control) => control.type !== 'file');
+    const last = controls
+      .reverse()
+      .find((control) => !control.closest('[style*="display: none"]'));
+
+    last.focus();
+    pressKey(last, 'Tab');
+    expect(getRoot().activeElement).toBe(button);
+
+    pressKey(button, 'Tab', { shiftKey: true });
+    expect(getRoot().activeElement).toBe(last);
+  });
+
+  test('closes the export menu on Escape before the chatbox', () => {
+    PrecisionFDAChat.init({ startOpen: true });
+    const exportButton = getChatbox().querySelector('[aria-label="Export conversation"]');
+
+    exportButton.click();
+    expect(exportButton.getAttribute('aria-expanded')).toBe('true');
+    pressKey(getRoot().getElementById('exportMenu').querySelector('button'), 'Escape');
+
+    expect(exportButton.getAttribute('aria-expanded')).toBe('false');
+    expect(getRoot().activeElement).toBe(exportButton);
+    expect(getChatbox().style.display).toBe('block');
+  });
+
+  test('stops the thinking animation for users who prefer reduced motion', () => {
+    PrecisionFDAChat.init();
+    const css = [...getRoot().querySelectorAll('style')].map((style) => style.textContent).join('');
+    expect(css).toMatch(/@media \(prefers-reduced-motion: reduce\)\s*{\s*\.thinking-dots span {\s*animation: none;/);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * @jest-environment node
+ */
+jest.mock('../lib/retrieval', () => ({ getIndexVersion: jest.fn(() => 'corpus-1') }));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A cited answer, as the providers return it
+const answer = (text) => ({ text, citations: [{ index: 1, title: 'Guidance', page: 4 }] });
+
+let cacheAnswer;
+let getCachedAnswer;
+let normalizeQuestion;
+let getIndexVersion;
+
+// A fresh cache (and corpus version 'corpus-1') for each test
+beforeEach(() => {
+  jest.resetModules();
+  jest.useFakeTimers({ now: new Date('2026-03-02T09:00:00Z') });
+  ({ cacheAnswer, getCachedAnswer, normalizeQuestion } = require('../lib/answerCache'));
+  ({ getIndexVersion } = require('../lib/retrieval'));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('normalizeQuestion()', () => {
+  test('ignores case, punctuation and spacing', () => {
+    expect(normalizeQuestion('  Do I need to REGISTER my facility?!  ')).toBe('do i need to register my facility');
+    expect(normalizeQuestion("What's MoCRA's deadline -- 2023?")).toBe('what s mocra s deadline 2023');
+  });
+
+  test('keeps the words of every script, compared in NFKC form', () => {
+    expect(normalizeQuestion('Café, ¿registro?')).toBe('café registro');
+    expect(normalizeQuestion('Cafe\u0301')).toBe(normalizeQuestion('Caf\u00e9'));
+    expect(normalizeQuestion('Что такое «регистрация»?')).toBe('что такое регистрация');
+    expect(normalizeQuestion('化粧品の登録は？')).toBe('化粧品の登録は');
+    expect(normalizeQuestion('ＭｏＣＲＡ　２０２２')).toBe('mocra 2022');
+  });
+
+  test('reduces a question without words to an empty string', () => {
+    expect(normalizeQuestion('?!… --- 🙂')).toBe('');
+  });
+});
+
+describe('answer cache', () => {
+  test('answers a repeated question that differs only in case and punctuation', () => {
+    cacheAnswer('Do I need to register my facility?', 'asst_1', answer('Yes.'));
+
+    expect(getCachedAnswer('do i need to register my FACILITY', 'asst_1')).toEqual({
+      ...answer('Yes.'),
+      cachedAt: Date.now(),
+    });
+  });
+
+  test('keeps questions in different scripts apart', () => {
+    cacheAnswer('Что такое регистрация?', 'asst_1', answer('Russian answer'));
+    cacheAnswer('登録とは？', 'asst_1', answer('Japanese answer'));
+
+    expect(getCachedAnswer('что такое регистрация', 'asst_1').text).toBe('Russian answer');
+    expect(getCachedAnswer('登録とは', 'asst_1').text).toBe('Japanese answer');
+    expect(getCachedAnswer('Что такое листинг?', 'asst_1')).toBeNull();
+  });
+
+  test('never caches or answers a question without words', () => {
+    cacheAnswer('???', 'asst_1', answer('Not an answer'));
+
+    expect(getCachedAnswer('???', 'asst_1')).toBeNull();
+    expect(getCachedAnswer('!!!', 'asst_1')).toBeNull();
+  });
+
+  test('does not cache an answer without citations', () => {
+    cacheAnswer('Who must register?', 'asst_1', { text: 'Uncited.', citations: [] });
+
+    expect(getCachedAnswer('Who must register?', 'asst_1')).toBeNull();
+  });
+
+  test('keeps the answers of each scope apart', () => {
+    cacheAnswer('Who must register?', 'asst_1', answer('From assistant 1'));
+
+    expect(getCachedAnswer('Who must register?', 'asst_2')).toBeNull();
+    expect(getCachedAnswer('Who must register?', 'asst_1').text).toBe('From assistant 1');
+  });
+
+  test('forgets an answer once it is older than the TTL', () => {
+    cacheAnswer('Who must register?', 'asst_1', answer('Yes.'));
+
+    jest.advanceTimersByTime(DAY_MS);
+    expect(getCachedAnswer('Who must register?', 'asst_1')).not.toBeNull();
+    jest.advanceTimersByTime(1);
+    expect(getCachedAnswer('Who must register?', 'asst_1')).toBeNull();
+  });
+
+  test('forgets every answer when the guidance corpus is re-ingested', () => {
+    cacheAnswer('Who must register?', 'asst_1', answer('Yes.'));
+
+    getIndexVersion.mockReturnValue('corpus-2');
+    expect(getCachedAnswer('Who must register?', 'asst_1')).toBeNull();
+
+    getIndexVersion.mockReturnValue('corpus-1');
+    expect(getCachedAnswer('Who must register?', 'asst_1')).toBeNull();
+  });
+});
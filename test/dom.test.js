@@ -0,0 +1,180 @@
+const { loadWidget } = require('./helpers/loadWidget');
+const { registrationAnswer } = require('./fixtures/assistantOutputs');
+
+const {
+  buildHTMLReport,
+  buildMarkdownReport,
+  buildReport,
+  createChatbox,
+  createMessage,
+  sanitizeAssistantResponse,
+} = loadWidget();
+
+describe('createMessage()', () => {
+  const renderAnswer = (feedback = null) => {
+    const { html, references } = sanitizeAssistantResponse(registrationAnswer.text, registrationAnswer.citations);
+    return createMessage(html, 'chatbot', false, references, new Date(2025, 1, 27, 14, 5), feedback);
+  };
+
+  test('shows user input as text, never as markup', () => {
+    const message = createMessage('<img src=x onerror="alert(1)"> **not bold**', 'user');
+    const content = message.querySelector('.message-content');
+
+    expect(content.querySelector('img')).toBeNull();
+    expect(content.textContent).toBe('<img src=x onerror="alert(1)"> **not bold**');
+    expect(message.textContent).toContain('You');
+  });
+
+  test('shows the sender and the time the message was sent', () => {
+    const header = renderAnswer().firstChild;
+    expect(header.textContent).toBe('PrecisionFDA2:05 PM');
+  });
+
+  test('renders the answer HTML with its citation superscripts', () => {
+    const content = renderAnswer().querySelector('.message-content.markdown-body');
+    expect(content.querySelector('sup').textContent).toBe('[1,2]');
+  });
+
+  test('toggles the Explain section listing each reference and its quote', () => {
+    const message = renderAnswer();
+    const explainButton = [...message.querySelectorAll('button')].find((button) => button.textContent === 'Explain');
+    const explanation = explainButton.nextElementSibling;
+
+    expect(explanation.style.display).toBe('none');
+    explainButton.click();
+    expect(explanation.style.display).toBe('block');
+    expect(explainButton.textContent).toBe('Hide Explanation');
+    expect(explanation.textContent).toContain('[1] MERGED_cosmetic_guidances.pdf - Page 151');
+    expect(explanation.textContent).toContain('[2] MERGED_cosmetic_guidances.pdf - Page 147, 2. Product Listing');
+    expect(explanation.querySelector('blockquote').textContent.trim()).toBe(registrationAnswer.citations[0].quote);
+
+    explainButton.click();
+    expect(explanation.style.display).toBe('none');
+  });
+
+  test('has no Explain button for answers unrelated to the guidance', () => {
+    const message = createMessage('Hello! How can I help?', 'chatbot');
+    expect([...message.querySelectorAll('button')].map((button) => button.textContent)).not.toContain('Explain');
+  });
+
+  test('styles errors in the error colour and never asks for feedback on them', () => {
+    const send = jest.fn();
+    const message = createMessage('The assistant could not process your request.', 'chatbot', true, [], new Date(), {
+      send,
+    });
+
+    expect(message.querySelector('.message-content').classList).toContain('message-error');
+    expect(message.querySelector('.message-feedback')).toBeNull();
+  });
+
+  test('sends "Yes" feedback and thanks the user', async () => {
+    const send = jest.fn().mockResolvedValue();
+    const message = renderAnswer({ rating: null, send });
+
+    message.querySelector('.link-yes').click();
+    await Promise.resolve();
+
+    expect(send).toHaveBeenCalledWith({ rating: 'yes', reasons: [], comment: '' });
+    expect(message.querySelector('.message-feedback').textContent).toBe('Thanks for your feedback.');
+  });
+
+  test('sends "No" feedback with the chosen reasons and comment', async () => {
+    const send = jest.fn().mockResolvedValue();
+    const message = renderAnswer({ rating: null, send });
+    const form = message.querySelector('.message-feedback form');
+
+    message.querySelector('.link-no').click();
+    expect(form.style.display).toBe('block');
+    form.querySelector('input[value="wrong_citation"]').checked = true;
+    form.querySelector('textarea').value = '  Page 12 is about labeling.  ';
+    form.dispatchEvent(new Event('submit', { cancelable: true }));
+    await Promise.resolve();
+
+    expect(send).toHaveBeenCalledWith({
+      rating: 'no',
+      reasons: ['wrong_citation'],
+      comment: 'Page 12 is about labeling.',
+    });
+  });
+
+  test('shows an earlier rating instead of asking again', () => {
+    const message = renderAnswer({ rating: 'no', send: jest.fn() });
+    expect(message.querySelector('.message-feedback').textContent).toBe('Thanks for your feedback.');
+    expect(message.querySelector('.link-yes')).toBeNull();
+  });
+});
+
+describe('createChatbox()', () => {
+  test('builds a hidden chatbox with its header, messages, input and history', () => {
+    const { chatbox, header, chatMessagesContainer, input, sidebar, historySearch, exportMenu } = createChatbox();
+
+    expect(chatbox.style.display).toBe('none');
+    [header, chatMessagesContainer, input, sidebar, exportMenu].forEach((element) => {
+      expect(chatbox.contains(element)).toBe(true);
+    });
+    expect(input.placeholder).toBe('How can I help you?');
+    expect(historySearch.placeholder).toBe('Search conversations');
+  });
+
+  test('offers each export format', () => {
+    const { exportMenu } = createChatbox();
+    const formats = [...exportMenu.querySelectorAll('[data-format]')].map((item) => item.dataset.format);
+    expect(formats).toEqual(['markdown', 'html', 'pdf']);
+  });
+
+  test('previews a supported attachment', () => {
+    const { fileInput, fileDisplayContainer } = createChatbox();
+    const file = new File(['Facility list'], 'facilities.csv', { type: 'text/csv' });
+    Object.defineProperty(fileInput, 'files', { value: [file] });
+
+    fileInput.onchange();
+
+    expect(fileDisplayContainer.style.display).toBe('flex');
+    expect(fileDisplayContainer.textContent).toContain('facilities.csv');
+  });
+
+  test('rejects an unsupported attachment', () => {
+    const alert = jest.spyOn(window, 'alert').mockImplementation(() => {});
+    const { fileInput, fileDisplayContainer } = createChatbox();
+    Object.defineProperty(fileInput, 'files', { value: [new File(['MZ'], 'setup.exe')] });
+
+    fileInput.onchange();
+
+    expect(alert).toHaveBeenCalledWith('Only PDF, DOCX, TXT and CSV files can be attached.');
+    expect(fileDisplayContainer.style.display).not.toBe('flex');
+    alert.mockRestore();
+  });
+});
+
+describe('conversation reports', () => {
+  const conversation = {
+    title: 'Registration chart',
+    messages: [
+      { sender: 'user', text: 'Chart the registrations', time: Date.UTC(2025, 1, 27) },
+      {
+        sender: 'chatbot',
+        text: 'Here is the chart.',
+        time: Date.UTC(2025, 1, 27),
+        images: [{ fileId: 'file-chart' }, { url: 'https://cdn.example.gov/map.png' }],
+      },
+    ],
+  };
+
+  test('link generated images to the widget\'s backend', () => {
+    const report = buildReport(conversation, 'https://chat.example.gov');
+
+    expect(buildMarkdownReport(report)).toContain(
+      '![Image from the answer](https://chat.example.gov/api/files/file-chart/content)'
+    );
+    const images = new DOMParser().parseFromString(buildHTMLReport(report), 'text/html').querySelectorAll('img');
+    expect([...images].map((image) => image.getAttribute('src'))).toEqual([
+      'https://chat.example.gov/api/files/file-chart/content',
+      'https://cdn.example.gov/map.png',
+    ]);
+  });
+
+  test('link generated images to the page\'s own origin without an endpoint', () => {
+    const markdown = buildMarkdownReport(buildReport(conversation));
+    expect(markdown).toContain(`![Image from the answer](${window.location.origin}/api/files/file-chart/content)`);
+  });
+});
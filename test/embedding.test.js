@@ -0,0 +1,315 @@
+const { loadWidget } = require('./helpers/loadWidget');
+const { registrationAnswer } = require('./fixtures/assistantOutputs');
+
+const { PrecisionFDAChat } = loadWidget();
+
+// The chat bubble and chatbox of a <pfda-chat> element (by default the one added by init())
+const getButton = (element = document.querySelector('pfda-chat')) => element && element.shadowRoot.querySelector('button');
+const getChatbox = (element) => getButton(element).nextElementSibling;
+
+// A fetch() response from the chat backend
+const jsonResponse = (status, data) => ({ ok: status < 400, status, json: async () => data });
+
+beforeEach(() => {
+  window.fetch = jest.fn();
+});
+
+afterEach(() => {
+  PrecisionFDAChat.destroy();
+  delete window.fetch;
+});
+
+describe('PrecisionFDAChat', () => {
+  test('is defined by the script without building the widget', () => {
+    expect(window.PrecisionFDAChat).toBe(PrecisionFDAChat);
+    expect(getButton()).toBeNull();
+    expect(() => PrecisionFDAChat.open()).toThrow('PrecisionFDAChat.open() cannot be used before PrecisionFDAChat.init().');
+  });
+
+  test('builds the chat button, which opens and closes the chatbox', () => {
+    PrecisionFDAChat.init();
+    const button = getButton();
+    const chatbox = getChatbox();
+
+    expect(chatbox.querySelector('input[placeholder="How can I help you?"]')).not.toBeNull();
+    expect(chatbox.style.display).toBe('none');
+    button.click();
+    expect(chatbox.style.display).toBe('block');
+    expect(button.title).toBe('Close Chat');
+    button.click();
+    expect(chatbox.style.display).toBe('none');
+    expect(button.title).toBe('Open Chat');
+    expect(button.querySelector('img').src).toBe('https://precision.fda.gov/assets/presskit/pfda.favicon.white.688x688.png');
+  });
+
+  test('applies the title, placeholder, logo, position and theme options', () => {
+    PrecisionFDAChat.init({
+      title: 'Cosmetics Guidance Help',
+      placeholder: 'Ask about MoCRA',
+      logo: 'https://portal.example.gov/logo.png',
+      position: 'top-left',
+      theme: { primary: '#004400' },
+    });
+    const button = getButton();
+
+    expect(button.style.top).toBe('30px');
+    expect(button.style.left).toBe('20px');
+    expect(button.style.right).toBe('');
+    expect(document.querySelector('pfda-chat').style.getPropertyValue('--pfda-primary')).toBe('#004400');
+    expect(button.querySelector('img').src).toBe('https://portal.example.gov/logo.png');
+    expect(getChatbox().textContent).toContain('Cosmetics Guidance Help');
+    expect(getChatbox().querySelector('input[placeholder="Ask about MoCRA"]')).not.toBeNull();
+  });
+
+  test('rejects an unknown position', () => {
+    expect(() => PrecisionFDAChat.init({ position: 'middle' })).toThrow(
+      'PrecisionFDAChat: position must be one of bottom-right, bottom-left, top-right, top-left.'
+    );
+    expect(getButton()).toBeNull();
+  });
+
+  test('opens and closes from the host page, calling onOpen', () => {
+    const onOpen = jest.fn();
+    PrecisionFDAChat.init({ onOpen });
+
+    PrecisionFDAChat.open();
+    PrecisionFDAChat.open();
+    expect(getChatbox().style.display).toBe('block');
+    expect(onOpen).toHaveBeenCalledTimes(1);
+    PrecisionFDAChat.close();
+    expect(getChatbox().style.display).toBe('none');
+  });
+
+  test('starts open with startOpen', () => {
+    const onOpen = jest.fn();
+    PrecisionFDAChat.init({ startOpen: true, onOpen });
+    expect(getChatbox().style.display).toBe('block');
+    expect(onOpen).toHaveBeenCalled();
+  });
+
+  test('asks a question through the configured endpoint and reports the answer', async () => {
+    window.fetch.mockResolvedValue(
+      jsonResponse(200, { answer: registrationAnswer.text, citations: registrationAnswer.citations, threadId: 'thread_1' })
+    );
+    const onAnswer = jest.fn();
+    PrecisionFDAChat.init({ endpoint: 'https://chat.example.gov/', onAnswer });
+
+    const answer = await PrecisionFDAChat.ask('  Who must register?  ');
+
+    const [url, request] = window.fetch.mock.calls[0];
+    expect(url).toBe('https://chat.example.gov/api/chat');
+    expect(JSON.parse(request.body).message).toBe('Who must register?');
+    expect(answer).toMatchObject({
+      question: 'Who must register?',
+      answer: registrationAnswer.text,
+      citations: registrationAnswer.citations,
+      cachedAt: null,
+    });
+    expect(onAnswer).toHaveBeenCalledWith(answer);
+    expect(getChatbox().style.display).toBe('block');
+    expect(getChatbox().querySelector('sup').textContent).toBe('[1,2]');
+  });
+
+  test('links citations to its own endpoint, which a later widget without one does not inherit', async () => {
+    window.fetch.mockResolvedValue(
+      jsonResponse(200, { answer: registrationAnswer.text, citations: registrationAnswer.citations })
+    );
+    PrecisionFDAChat.init({ endpoint: 'https://chat.example.gov' });
+    await PrecisionFDAChat.ask('Who must register?');
+    expect(getChatbox().querySelector('sup a').href).toMatch(/^https:\/\/chat\.example\.gov\/viewer\.html\?page=/);
+
+    PrecisionFDAChat.init();
+    await PrecisionFDAChat.ask('Who must register?');
+
+    expect(window.fetch.mock.calls[1][0]).toBe('/api/chat');
+    expect(getChatbox().querySelector('sup a').getAttribute('href')).toMatch(/^\/viewer\.html\?page=/);
+  });
+
+  test('backs conversations up to its endpoint only with syncHistory', async () => {
+    window.fetch.mockResolvedValue(jsonResponse(200, { answer: 'Register by December 29, 2023.', conversations: [] }));
+    // jsdom has no IndexedDB, so the local history only logs a warning
+    const consoleWarn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const backups = () => window.fetch.mock.calls.filter(([url]) => url.includes('/api/conversations/'));
+
+    PrecisionFDAChat.init();
+    await PrecisionFDAChat.ask('When?');
+    expect(backups()).toHaveLength(0);
+
+    PrecisionFDAChat.init({ endpoint: 'https://chat.example.gov', syncHistory: true });
+    await PrecisionFDAChat.ask('When?');
+    await new Promise((resolve) => setTimeout(resolve));
+
+    // The conversation is saved when the question is sent and again with its answer
+    const [url, request] = backups().pop();
+    expect(url).toMatch(/^https:\/\/chat\.example\.gov\/api\/conversations\/[\w-]+$/);
+    expect(request.method).toBe('PUT');
+    expect(JSON.parse(request.body).messages.map((message) => message.text)).toEqual([
+      'When?',
+      'Register by December 29, 2023.',
+    ]);
+    consoleWarn.mockRestore();
+  });
+
+  test('reports a failed question to onError', async () => {
+    window.fetch.mockResolvedValue(
+      jsonResponse(503, { error: 'The assistant is busy. Please try again shortly.', errorType: 'unavailable' })
+    );
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const onError = jest.fn();
+    PrecisionFDAChat.init({ onError });
+
+    expect(await PrecisionFDAChat.ask('Who must register?')).toBeNull();
+
+    expect(onError).toHaveBeenCalledWith({
+      question: 'Who must register?',
+      message: 'The assistant is busy. Please try again shortly.',
+      error: expect.any(Error),
+    });
+    expect(getChatbox().textContent).toContain('The assistant is busy. Please try again shortly.');
+    consoleError.mockRestore();
+  });
+
+  test('keeps working when a callback throws', async () => {
+    window.fetch.mockResolvedValue(jsonResponse(200, { answer: 'Register by December 29, 2023.' }));
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    PrecisionFDAChat.init({
+      onAnswer: () => {
+        throw new Error('host page bug');
+      },
+    });
+
+    const answer = await PrecisionFDAChat.ask('When?');
+
+    expect(answer.answer).toBe('Register by December 29, 2023.');
+    expect(consoleError).toHaveBeenCalledWith('PrecisionFDAChat onAnswer callback failed:', expect.any(Error));
+    consoleError.mockRestore();
+  });
+
+  test('needs a question to ask', () => {
+    PrecisionFDAChat.init();
+    expect(() => PrecisionFDAChat.ask('   ')).toThrow('PrecisionFDAChat: ask() needs a question.');
+    expect(window.fetch).not.toHaveBeenCalled();
+  });
+
+  test('destroy() removes the widget, and init() can build it again', () => {
+    PrecisionFDAChat.init({ title: 'First' });
+    PrecisionFDAChat.open();
+
+    PrecisionFDAChat.destroy();
+    expect(document.querySelector('pfda-chat')).toBeNull();
+    expect(() => PrecisionFDAChat.ask('Who must register?')).toThrow();
+
+    PrecisionFDAChat.init({ title: 'Second' });
+    expect(document.querySelectorAll('pfda-chat')).toHaveLength(1);
+    expect(getChatbox().style.display).toBe('none');
+    expect(getChatbox().textContent).toContain('Second');
+  });
+
+  test('replaces the widget when init() is called again', () => {
+    PrecisionFDAChat.init({ theme: { primary: '#004400' } });
+    PrecisionFDAChat.init();
+
+    expect(document.querySelectorAll('pfda-chat')).toHaveLength(1);
+    expect(document.querySelector('pfda-chat').style.getPropertyValue('--pfda-primary')).toBe('');
+  });
+});
+
+describe('<pfda-chat>', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('builds its widget from its attributes, inside its own shadow root', () => {
+    document.body.innerHTML =
+      '<pfda-chat chat-title="Portal Help" placeholder="Ask about MoCRA" position="bottom-left" start-open></pfda-chat>';
+    const element = document.querySelector('pfda-chat');
+
+    expect(element.shadowRoot.textContent).toContain('Portal Help');
+    expect(getChatbox(element).querySelector('input[placeholder="Ask about MoCRA"]')).not.toBeNull();
+    expect(getChatbox(element).style.display).toBe('block');
+    expect(getButton(element).style.left).toBe('20px');
+    expect(document.querySelectorAll('button, input')).toHaveLength(0);
+  });
+
+  test('leaves the host page\'s own buttons and fixed elements alone', () => {
+    document.body.innerHTML = `
+      <button id="host-button">Search</button>
+      <div id="host-banner" style="position: fixed; display: block;">Notice</div>
+      <pfda-chat></pfda-chat>`;
+    const element = document.querySelector('pfda-chat');
+    element.open();
+
+    // Shift+! hides the widget's button and chatbox
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: '!', shiftKey: true }));
+
+    expect(getButton(element).style.display).toBe('none');
+    expect(getChatbox(element).style.display).toBe('none');
+    expect(document.getElementById('host-button').style.display).toBe('');
+    expect(document.getElementById('host-banner').style.display).toBe('block');
+  });
+
+  test('keeps the state and conversations of several widgets apart', async () => {
+    window.fetch.mockImplementation(async (url, request) => {
+      const { threadId } = JSON.parse(request.body);
+      return jsonResponse(200, { answer: 'Yes.', threadId: threadId || `thread_${window.fetch.mock.calls.length}` });
+    });
+    document.body.innerHTML = '<pfda-chat storage-key="first"></pfda-chat><pfda-chat storage-key="second"></pfda-chat>';
+    const [first, second] = document.querySelectorAll('pfda-chat');
+
+    first.open();
+    expect(getChatbox(first).style.display).toBe('block');
+    expect(getChatbox(second).style.display).toBe('none');
+
+    await first.ask('Who must register?');
+    await second.ask('Who must list products?');
+    await first.ask('By when?');
+
+    const threads = window.fetch.mock.calls.map(([, request]) => JSON.parse(request.body).threadId);
+    expect(threads).toEqual([null, null, 'thread_1']);
+    expect(getChatbox(first).textContent).not.toContain('Who must list products?');
+    expect(getChatbox(second).textContent).toContain('Who must list products?');
+  });
+
+  test('sends each widget\'s questions to the backend of its own endpoint attribute', async () => {
+    window.fetch.mockResolvedValue(jsonResponse(200, { answer: 'Yes.' }));
+    document.body.innerHTML = `
+      <pfda-chat endpoint="https://cosmetics.example.gov" storage-key="cosmetics"></pfda-chat>
+      <pfda-chat endpoint="https://devices.example.gov" storage-key="devices"></pfda-chat>
+      <pfda-chat storage-key="local"></pfda-chat>`;
+    const [cosmetics, devices, local] = document.querySelectorAll('pfda-chat');
+
+    await cosmetics.ask('Who must register?');
+    await devices.ask('Who must list devices?');
+    await local.ask('Who must list products?');
+
+    expect(window.fetch.mock.calls.map(([url]) => url)).toEqual([
+      'https://cosmetics.example.gov/api/chat',
+      'https://devices.example.gov/api/chat',
+      '/api/chat',
+    ]);
+  });
+
+  test('dispatches pfda-answer and pfda-open events', async () => {
+    window.fetch.mockResolvedValue(jsonResponse(200, { answer: 'Register by December 29, 2023.' }));
+    document.body.innerHTML = '<pfda-chat></pfda-chat>';
+    const element = document.querySelector('pfda-chat');
+    const events = [];
+    document.addEventListener('pfda-open', (event) => events.push(event.type));
+    document.addEventListener('pfda-answer', (event) => events.push(event.detail.answer));
+
+    await element.ask('When?');
+
+    expect(events).toEqual(['pfda-open', 'Register by December 29, 2023.']);
+  });
+
+  test('takes its widget down when removed from the page', () => {
+    document.body.innerHTML = '<pfda-chat></pfda-chat>';
+    const element = document.querySelector('pfda-chat');
+
+    element.remove();
+
+    expect(element.shadowRoot.childNodes).toHaveLength(0);
+    expect(() => element.open()).toThrow('PrecisionFDAChat: open() needs the <pfda-chat> element to be on the page.');
+    expect(() => document.dispatchEvent(new KeyboardEvent('keydown', { key: '!', shiftKey: true }))).not.toThrow();
+  });
+});
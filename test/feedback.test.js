@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfda-feedback-'));
+process.env.FEEDBACK_LOG_PATH = path.join(logDir, 'logs', 'feedback.jsonl');
+const { readFeedback, recordFeedback } = require('../lib/feedback');
+
+// A feedback body as the widget sends it
+const feedbackBody = (fields = {}) => ({
+  rating: 'no',
+  reasons: ['outdated'],
+  comment: 'The deadline moved.',
+  question: 'When must facilities register?',
+  answer: 'By December 29, 2023.',
+  structured: { summary: 'By December 29, 2023.', citations: [{ index: 1, quote: 'December 29, 2023' }] },
+  citations: [{ index: 1, title: 'Registration and Listing Guidance', page: 12 }],
+  model: 'gpt-4o',
+  assistantId: 'asst_1',
+  threadId: 'thread_1',
+  conversationId: 'conv_1',
+  answeredAt: Date.UTC(2026, 2, 2, 9, 0, 0),
+  ...fields,
+});
+
+afterAll(() => {
+  fs.rmSync(logDir, { recursive: true, force: true });
+});
+
+describe('readFeedback()', () => {
+  test('keeps the logged fields of a valid body', () => {
+    expect(readFeedback(feedbackBody())).toEqual({
+      ...feedbackBody(),
+      answeredAt: '2026-03-02T09:00:00.000Z',
+    });
+  });
+
+  test('accepts both ratings, with only a question and answer', () => {
+    ['yes', 'no'].forEach((rating) =>
+      expect(readFeedback({ rating, question: 'Who must register?', answer: 'Facilities.' })).toEqual({
+        rating,
+        reasons: [],
+        comment: '',
+        question: 'Who must register?',
+        answer: 'Facilities.',
+        structured: null,
+        citations: [],
+        model: null,
+        assistantId: null,
+        threadId: null,
+        conversationId: null,
+        answeredAt: null,
+      })
+    );
+  });
+
+  test('trims the comment, drops repeated reasons and ignores unknown fields', () => {
+    const feedback = readFeedback(
+      feedbackBody({ comment: '  Wrong page.\n', reasons: ['outdated', 'incomplete', 'outdated'], ip: '10.0.0.1' })
+    );
+
+    expect(feedback.comment).toBe('Wrong page.');
+    expect(feedback.reasons).toEqual(['outdated', 'incomplete']);
+    expect(feedback).not.toHaveProperty('ip');
+  });
+
+  test('ignores optional fields of the wrong type', () => {
+    const feedback = readFeedback(
+      feedbackBody({ structured: 'summary', citations: { index: 1 }, model: 4, answeredAt: '2026-03-02' })
+    );
+
+    expect(feedback).toMatchObject({ structured: null, citations: [], model: null, answeredAt: null });
+  });
+
+  test.each([
+    ['no body', undefined],
+    ['an unknown rating', feedbackBody({ rating: 'maybe' })],
+    ['no question', feedbackBody({ question: undefined })],
+    ['an answer that is not text', feedbackBody({ answer: { text: 'By December 29, 2023.' } })],
+    ['an unknown reason', feedbackBody({ reasons: ['outdated', 'rude'] })],
+    ['a comment over 2000 characters', feedbackBody({ comment: 'a'.repeat(2001) })],
+    ['a question over 4000 characters', feedbackBody({ question: 'a'.repeat(4001) })],
+    ['an answer over 50000 characters', feedbackBody({ answer: 'a'.repeat(50001) })],
+    ['a structured answer over 100000 characters of JSON', feedbackBody({ structured: { summary: 'a'.repeat(100000) } })],
+    ['citations over 100000 characters of JSON', feedbackBody({ citations: [{ quote: 'a'.repeat(100000) }] })],
+    ['an answer time outside the dates JavaScript can hold', feedbackBody({ answeredAt: 1e20 })],
+  ])('rejects feedback with %s', (description, body) => {
+    expect(readFeedback(body)).toBeNull();
+  });
+});
+
+describe('recordFeedback()', () => {
+  test('appends each record to the JSONL log, stamped with the time it was received', async () => {
+    await recordFeedback(readFeedback(feedbackBody()));
+    await recordFeedback(readFeedback(feedbackBody({ rating: 'yes', reasons: [], comment: '' })));
+
+    const records = fs
+      .readFileSync(process.env.FEEDBACK_LOG_PATH, 'utf8')
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line));
+    expect(records.map(({ rating }) => rating)).toEqual(['no', 'yes']);
+    expect(records[0]).toEqual({
+      receivedAt: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+      ...readFeedback(feedbackBody()),
+    });
+  });
+});
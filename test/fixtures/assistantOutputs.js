@@ -0,0 +1,101 @@
+// Assistant outputs used by the widget tests
+// Replies as the providers return them (markers and all), with the citations the backend
+// resolved for them (see lib/citations.js).
+
+const GUIDANCE = 'MERGED_cosmetic_guidances.pdf';
+
+const REGISTRATION_QUOTE =
+  'Every person that, on December 29, 2022, owns or operates a facility that engages in the manufacturing or processing of a cosmetic product for distribution in the United States must register each facility no later than December 29, 2023';
+const LISTING_QUOTE =
+  'Section 607(c) of the FD&C Act requires that for each cosmetic product, the responsible person must submit a cosmetic product listing, or ensure such submission is made';
+
+// OpenAI Assistants file_search: two adjacent markers and a "See ... - Page" reference
+const registrationAnswer = {
+  text: 'Cosmetic facilities must register with FDA【4:8†source】【4:14†source】. See Registration Guidance - Page 12, Section 4.8.',
+  citations: [
+    {
+      marker: '【4:8†source】',
+      fileId: 'file-abc',
+      fileName: GUIDANCE,
+      quote: REGISTRATION_QUOTE,
+      page: 151,
+      section: 'F. When must you register and list under section 607 of the FD&C Act? 1. Registration',
+    },
+    {
+      marker: '【4:14†source】',
+      fileId: 'file-abc',
+      fileName: GUIDANCE,
+      quote: LISTING_QUOTE,
+      page: 147,
+      section: '2. Product Listing',
+    },
+  ],
+};
+
+// A markdown list whose items cite the same passage through different markers, plus one
+// marker the backend could not resolve
+const listAnswer = {
+  text: [
+    'Under **MoCRA** you need to:',
+    '',
+    '1. Register each facility【4:0†source】',
+    '2. List each cosmetic product【4:3†source】',
+    '3. Keep the listing current【4:5†source】【4:9†source】',
+  ].join('\n'),
+  citations: [
+    {
+      marker: '【4:0†source】',
+      fileId: 'file-abc',
+      fileName: GUIDANCE,
+      quote: REGISTRATION_QUOTE,
+      page: 151,
+      section: '1. Registration',
+    },
+    {
+      marker: '【4:3†source】',
+      fileId: 'file-abc',
+      fileName: GUIDANCE,
+      quote: LISTING_QUOTE,
+      page: 147,
+      section: '2. Product Listing',
+    },
+    {
+      marker: '【4:5†source】',
+      fileId: 'file-abc',
+      fileName: GUIDANCE,
+      quote: LISTING_QUOTE,
+      page: 147,
+      section: '2. Product Listing',
+    },
+  ],
+};
+
+// Chat Completions and mock providers cite local passages (no file ID)
+const localSourceAnswer = {
+  text: 'A cosmetic product that is also a drug does not need to be listed under section 607 of the FD&C Act 【0:0†source】.',
+  citations: [
+    {
+      marker: '【0:0†source】',
+      fileId: null,
+      fileName: GUIDANCE,
+      quote: 'A cosmetic product that is also a drug is not subject to the listing requirements under section 607 of the FD&C Act.',
+      page: 152,
+      section: 'G. What if my product is both a drug and a cosmetic product?',
+    },
+  ],
+};
+
+// Markup the model should never be able to inject into the page
+const injectedAnswer = {
+  text: 'Register your facility<script>alert(1)</script> <img src="x" onerror="alert(2)"> [click](javascript:alert(3))【4:1†source】',
+  citations: [],
+};
+
+module.exports = {
+  GUIDANCE,
+  REGISTRATION_QUOTE,
+  injectedAnswer,
+  listAnswer,
+  localSourceAnswer,
+  registrationAnswer,
+};
@@ -0,0 +1,36 @@
+// Test helper - loads public/widget.js into the jsdom window the way the page does
+// The markdown renderer and sanitizer are run as the same browser builds server.js serves
+// under /vendor, so answers render exactly as they do for users. Each test file gets a
+// fresh window and a fresh copy of the widget (jest isolates modules per file).
+
+const fs = require('fs');
+const path = require('path');
+
+// Browser builds of the libraries the widget would load from /vendor
+const VENDOR_SCRIPTS = [
+  path.join(path.dirname(require.resolve('marked')), 'marked.umd.js'),
+  require.resolve('dompurify/purify.min.js'),
+];
+
+// -----------------------------------------------------
+// Function: loadWidget()
+// Purpose: Run the vendor scripts as globals, then load the widget and return its exported
+//          functions. Like a host page, tests then add <pfda-chat> elements (or call
+//          PrecisionFDAChat.init()) to build widgets.
+//          Pass { markdown: false } to test the plain-text fallback used when the
+//          libraries fail to load.
+// -----------------------------------------------------
+const loadWidget = ({ markdown = true } = {}) => {
+  if (markdown) {
+    VENDOR_SCRIPTS.forEach((file) => {
+      // Run as a classic script: without `module` the UMD builds set window.marked / window.DOMPurify
+      new Function(fs.readFileSync(file, 'utf8')).call(window);
+    });
+  }
+  window.HTMLElement.prototype.scrollIntoView = () => {};
+  return require('../../public/widget.js');
+};
+
+module.exports = {
+  loadWidget,
+};
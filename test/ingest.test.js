@@ -0,0 +1,117 @@
+/**
+ * @jest-environment node
+ */
+const { chunkSegments, isHeading, splitIntoSections } = require('../lib/ingest');
+
+// A line of a page as extractPages() returns it: body text is 10pt in font F1 unless given
+const line = (text, { height = 10, font = 'F1' } = {}) => ({ text, height, fonts: new Set([font]) });
+const heading = (text) => line(text, { height: 14 });
+
+const page = (number, lines) => ({ page: number, lines, bodyFont: 'F1', bodyHeight: 10 });
+
+// Text of `count` numbered words: "w1 w2 ... w<count>"
+const words = (count, from = 1) => Array.from({ length: count }, (_, index) => `w${from + index}`).join(' ');
+
+describe('isHeading()', () => {
+  const body = page(1, []);
+
+  test('accepts lines set larger than the body text', () => {
+    expect(isHeading(heading('Registration Requirements'), body)).toBe(true);
+  });
+
+  test('accepts numbered headings set in another font, but not in the body font', () => {
+    expect(isHeading(line('III. Facility Registration', { font: 'F1-Bold' }), body)).toBe(true);
+    expect(isHeading(line('III. Facility Registration'), body)).toBe(false);
+    expect(isHeading(line('Facility Registration', { font: 'F1-Bold' }), body)).toBe(false);
+  });
+
+  test('rejects sentences, bullets, page numbers and table of contents entries', () => {
+    ['Facilities must register.', '• Registration', '12', 'II. Background ........ 5', 'I. Introduction 3'].forEach(
+      (text) => expect(isHeading(heading(text), body)).toBe(false)
+    );
+  });
+});
+
+describe('splitIntoSections()', () => {
+  test('starts a segment at every heading and page break, each with its page and section', () => {
+    const pages = [
+      page(1, [line('Opening text.'), heading('I. Introduction'), line('MoCRA was signed in 2022.')]),
+      page(2, [line('It amends the FD&C Act.'), heading('II. Registration'), line('Facilities must register.')]),
+    ];
+
+    expect(splitIntoSections(pages)).toEqual([
+      { page: 1, section: 'Introduction', text: 'Opening text.' },
+      { page: 1, section: 'I. Introduction', text: 'MoCRA was signed in 2022.' },
+      { page: 2, section: 'I. Introduction', text: 'It amends the FD&C Act.' },
+      { page: 2, section: 'II. Registration', text: 'Facilities must register.' },
+    ]);
+  });
+
+  test('joins a heading that wraps onto a second line', () => {
+    const pages = [page(1, [heading('III. Registration of Cosmetic'), heading('Product Facilities'), line('Text.')])];
+
+    expect(splitIntoSections(pages)).toEqual([
+      { page: 1, section: 'III. Registration of Cosmetic Product Facilities', text: 'Text.' },
+    ]);
+  });
+
+  test('drops running headers, footers and page numbers', () => {
+    const pages = [1, 2, 3].map((number) =>
+      page(number, [line('Contains Nonbinding Recommendations'), line(`Content of page ${number}.`), line(`${number}`)])
+    );
+
+    expect(splitIntoSections(pages).map(({ text }) => text)).toEqual([
+      'Content of page 1.',
+      'Content of page 2.',
+      'Content of page 3.',
+    ]);
+  });
+
+  test('joins the lines of a segment, mending words hyphenated across lines', () => {
+    const pages = [page(1, [line('Each facility must regis-'), line('ter with FDA.')])];
+
+    expect(splitIntoSections(pages)[0].text).toBe('Each facility must register with FDA.');
+  });
+});
+
+describe('chunkSegments()', () => {
+  // 8 tokens are 6 words and 4 tokens are 3 words, so chunks start every 3 words
+  const sizes = { chunkTokens: 8, overlapTokens: 4 };
+
+  test('splits a segment into overlapping chunks that keep its page and section', () => {
+    const chunks = chunkSegments([{ page: 7, section: 'II. Registration', text: words(12) }], sizes);
+
+    expect(chunks).toEqual([
+      { id: 'p7-c1', page: 7, section: 'II. Registration', text: words(6, 1) },
+      { id: 'p7-c2', page: 7, section: 'II. Registration', text: words(6, 4) },
+      { id: 'p7-c3', page: 7, section: 'II. Registration', text: words(6, 7) },
+    ]);
+  });
+
+  test('never runs a chunk across segments, and numbers chunks across the whole document', () => {
+    const chunks = chunkSegments(
+      [
+        { page: 1, section: 'I. Introduction', text: words(4) },
+        { page: 2, section: 'II. Registration', text: words(7, 5) },
+      ],
+      sizes
+    );
+
+    expect(chunks.map(({ id, text }) => [id, text])).toEqual([
+      ['p1-c1', words(4)],
+      ['p2-c2', words(6, 5)],
+      ['p2-c3', words(4, 8)],
+    ]);
+  });
+
+  test('uses ~500-token chunks with a 75-token overlap by default', () => {
+    const chunks = chunkSegments([{ page: 1, section: 'I. Introduction', text: words(800) }]);
+
+    expect(chunks.map(({ text }) => text.split(' ').length)).toEqual([375, 375, 162]);
+    expect(chunks[1].text.startsWith('w320 ')).toBe(true);
+  });
+
+  test('skips segments without words', () => {
+    expect(chunkSegments([{ page: 1, section: 'I. Introduction', text: '  ' }])).toEqual([]);
+  });
+});
@@ -0,0 +1,158 @@
+const { loadWidget } = require('./helpers/loadWidget');
+
+const { PrecisionFDAChat } = loadWidget();
+
+// The widget added by init(): its chat bubble, chatbox and the chatbox's resize handle
+const getButton = () => document.querySelector('pfda-chat').shadowRoot.querySelector('button');
+const getChatbox = () => getButton().nextElementSibling;
+const getResizeHandle = () => getChatbox().querySelector('[aria-label="Resize chat (arrow keys)"]');
+
+// A pointer event (mouse, touch or pen) at (x, y); jsdom has no PointerEvent, so the
+// mouse event carries the pointer event type
+const pointer = (element, type, x, y) =>
+  element.dispatchEvent(
+    new MouseEvent(type, { clientX: x, clientY: y, button: 0, bubbles: true, composed: true, cancelable: true })
+  );
+
+// Drag from one point to another, like a finger or mouse moving across the window
+const drag = (element, [fromX, fromY], [toX, toY]) => {
+  pointer(element, 'pointerdown', fromX, fromY);
+  pointer(document, 'pointermove', (fromX + toX) / 2, (fromY + toY) / 2);
+  pointer(document, 'pointermove', toX, toY);
+  pointer(document, 'pointerup', toX, toY);
+};
+
+const readPosition = (element) => {
+  const { left, right, top, bottom } = element.style;
+  return { left, right, top, bottom };
+};
+
+const resizeWindow = (width, height) => {
+  window.innerWidth = width;
+  window.innerHeight = height;
+  window.dispatchEvent(new Event('resize'));
+};
+
+afterEach(() => {
+  PrecisionFDAChat.destroy();
+  localStorage.clear();
+  resizeWindow(1024, 768);
+});
+
+// jsdom's window is 1024x768, so the bubble starts at left 934, top 668 (20px from the
+// right, 30px from the bottom)
+describe('chat bubble dragging', () => {
+  test('moves the bubble with a pointer, without opening the chat on release', () => {
+    PrecisionFDAChat.init();
+    const button = getButton();
+
+    drag(button, [960, 700], [500, 300]);
+    button.click();
+
+    expect(readPosition(button)).toEqual({ left: '474px', right: '', top: '268px', bottom: '' });
+    expect(button.style.transform).toBe('');
+    expect(getChatbox().style.display).toBe('none');
+  });
+
+  test('treats a press that barely moves as a tap', () => {
+    PrecisionFDAChat.init();
+    const button = getButton();
+
+    drag(button, [960, 700], [963, 702]);
+    button.click();
+
+    expect(readPosition(button)).toEqual({ left: '', right: '20px', top: '', bottom: '30px' });
+    expect(getChatbox().style.display).toBe('block');
+  });
+
+  test('snaps the bubble to a window edge it is dropped near', () => {
+    PrecisionFDAChat.init();
+
+    drag(getButton(), [960, 700], [1010, 400]);
+
+    expect(readPosition(getButton())).toEqual({ left: '', right: '20px', top: '', bottom: '330px' });
+  });
+
+  test('remembers where the bubble was left, per storage key', () => {
+    PrecisionFDAChat.init({ storageKey: 'cosmetics' });
+    drag(getButton(), [960, 700], [40, 20]);
+    expect(readPosition(getButton())).toEqual({ left: '20px', right: '', top: '20px', bottom: '' });
+
+    PrecisionFDAChat.init({ storageKey: 'cosmetics' });
+    expect(readPosition(getButton())).toEqual({ left: '20px', right: '', top: '20px', bottom: '' });
+    PrecisionFDAChat.init();
+    expect(readPosition(getButton())).toEqual({ left: '', right: '20px', top: '', bottom: '30px' });
+  });
+
+  test('keeps the bubble inside a window made smaller', () => {
+    PrecisionFDAChat.init();
+    drag(getButton(), [960, 700], [500, 300]);
+
+    resizeWindow(400, 300);
+
+    expect(readPosition(getButton())).toEqual({ left: '330px', right: '', top: '230px', bottom: '' });
+  });
+});
+
+describe('chatbox resizing', () => {
+  test('places the resize handle in the corner away from the bubble', () => {
+    PrecisionFDAChat.init({ startOpen: true });
+    const handle = getResizeHandle();
+
+    expect(handle.style.left).toBe('0px');
+    expect(handle.style.top).toBe('0px');
+    expect(handle.style.cursor).toBe('nwse-resize');
+  });
+
+  test('resizes the chatbox by dragging the handle and remembers the size', () => {
+    PrecisionFDAChat.init({ startOpen: true });
+
+    // The bubble is bottom right, so the chatbox grows up and to the left
+    drag(getResizeHandle(), [600, 200], [550, 160]);
+    expect(getChatbox().style.width).toBe('350px');
+    expect(getChatbox().style.height).toBe('440px');
+
+    PrecisionFDAChat.init({ startOpen: true });
+    expect(getChatbox().style.width).toBe('350px');
+    expect(getChatbox().style.height).toBe('440px');
+  });
+
+  test('resizes with the arrow keys, down to a minimum size', () => {
+    PrecisionFDAChat.init({ startOpen: true });
+    const handle = getResizeHandle();
+
+    handle.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+    expect(getChatbox().style.width).toBe('320px');
+
+    drag(handle, [600, 200], [900, 600]);
+    expect(getChatbox().style.width).toBe('260px');
+    expect(getChatbox().style.height).toBe('300px');
+  });
+
+  test('keeps the chatbox inside a window made smaller', () => {
+    PrecisionFDAChat.init({ startOpen: true });
+
+    resizeWindow(320, 500);
+
+    // 280px wide fills the window less its margins, so the chatbox moves from beside the
+    // bubble (right 110px) to the window's left edge
+    expect(getChatbox().style.width).toBe('280px');
+    expect(getChatbox().style.right).toBe('40px');
+    expect(getChatbox().style.height).toBe('400px');
+    expect(getChatbox().style.bottom).toBe('100px');
+  });
+
+  test('goes back to the chosen size after being expanded', () => {
+    PrecisionFDAChat.init({ startOpen: true });
+    drag(getResizeHandle(), [600, 200], [550, 200]);
+    const expandButton = getChatbox().querySelector('[aria-label="Expand chat"]');
+
+    expandButton.click();
+    expect(getChatbox().style.width).toBe('80%');
+    expect(getResizeHandle().style.display).toBe('none');
+    expandButton.click();
+
+    expect(getChatbox().style.width).toBe('350px');
+    expect(getResizeHandle().style.display).toBe('block');
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * @jest-environment node
+ */
+process.env.OPENAI_API_KEY = 'sk-test';
+const { MAX_RETRIES, getRetryDelay, openaiFetch, readRetryAfter } = require('../lib/openai');
+
+// A response from the OpenAI API
+const apiResponse = (status, data = {}, headers = {}) =>
+  new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+
+// The error fetch() rejects with when the connection fails with `code`
+const connectionError = (code) =>
+  Object.assign(new TypeError('fetch failed'), { cause: Object.assign(new Error(code), { code }) });
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+  // No jitter, so retries happen at once
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+describe('openaiFetch() retries', () => {
+  test.each(['GET', 'POST'])('retries a %s after a 429', async (method) => {
+    fetch.mockResolvedValueOnce(apiResponse(429, { error: { message: 'Rate limit reached' } }));
+    fetch.mockResolvedValueOnce(apiResponse(200, { id: 'run_1' }));
+
+    const response = await openaiFetch('/threads/thread_1/runs', { method, body: method === 'POST' ? {} : undefined });
+
+    expect(await response.json()).toEqual({ id: 'run_1' });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('retries a GET after a server error or a dropped connection', async () => {
+    fetch.mockResolvedValueOnce(apiResponse(502));
+    fetch.mockRejectedValueOnce(connectionError('ECONNRESET'));
+    fetch.mockResolvedValueOnce(apiResponse(200, { status: 'completed' }));
+
+    await openaiFetch('/threads/thread_1/runs/run_1');
+
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  // The POST may have added the message or started the run before failing
+  test('does not retry a POST after a server error', async () => {
+    fetch.mockResolvedValue(apiResponse(500, { error: { message: 'The server had an error' } }));
+
+    await expect(openaiFetch('/threads/thread_1/messages', { method: 'POST', body: {} })).rejects.toMatchObject({
+      type: 'server',
+      status: 500,
+      message: 'The server had an error',
+    });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries a POST only when the connection failed before it was sent', async () => {
+    fetch.mockRejectedValueOnce(connectionError('ECONNREFUSED'));
+    fetch.mockResolvedValueOnce(apiResponse(200));
+    await openaiFetch('/threads/thread_1/runs', { method: 'POST', body: {} });
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    fetch.mockReset();
+    fetch.mockRejectedValue(connectionError('ECONNRESET'));
+    await expect(openaiFetch('/threads/thread_1/runs', { method: 'POST', body: {} })).rejects.toMatchObject({
+      type: 'network',
+      requestSent: true,
+    });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not retry other client errors', async () => {
+    fetch.mockResolvedValue(apiResponse(404, { error: { message: 'No thread found' } }));
+    await expect(openaiFetch('/threads/thread_x')).rejects.toMatchObject({ type: 'request', status: 404 });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test(`gives up after ${MAX_RETRIES} retries with the last error`, async () => {
+    fetch.mockResolvedValue(apiResponse(503, {}, { 'Retry-After': '0' }));
+
+    await expect(openaiFetch('/threads/thread_1/runs/run_1')).rejects.toMatchObject({
+      type: 'server',
+      status: 503,
+      retryAfterMs: 0,
+    });
+    expect(fetch).toHaveBeenCalledTimes(MAX_RETRIES + 1);
+  });
+
+  test('stops waiting to retry when the request is aborted', async () => {
+    Math.random.mockReturnValue(1);
+    fetch.mockResolvedValue(apiResponse(503));
+    const controller = new AbortController();
+
+    const request = openaiFetch('/threads/thread_1/runs/run_1', { signal: controller.signal });
+    setTimeout(() => controller.abort(new Error('cancelled')), 10);
+
+    await expect(request).rejects.toThrow('cancelled');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('readRetryAfter()', () => {
+  test('reads retry-after-ms, then Retry-After in seconds or as an HTTP date', () => {
+    expect(readRetryAfter(new Headers({ 'retry-after-ms': '1500', 'retry-after': '9' }))).toBe(1500);
+    expect(readRetryAfter(new Headers({ 'retry-after': '2' }))).toBe(2000);
+    expect(readRetryAfter(new Headers({ 'retry-after': '-5' }))).toBe(0);
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('Wed, 21 Oct 2026 07:28:00 GMT'));
+    expect(readRetryAfter(new Headers({ 'retry-after': 'Wed, 21 Oct 2026 07:28:30 GMT' }))).toBe(30000);
+    expect(readRetryAfter(new Headers({ 'retry-after': 'Wed, 21 Oct 2026 07:27:00 GMT' }))).toBe(0);
+  });
+
+  test('returns null when no wait is given', () => {
+    expect(readRetryAfter(new Headers())).toBeNull();
+    expect(readRetryAfter(new Headers({ 'retry-after': 'soon' }))).toBeNull();
+    expect(readRetryAfter(new Headers({ 'retry-after-ms': '0' }))).toBeNull();
+  });
+});
+
+describe('getRetryDelay()', () => {
+  test('waits as long as the API asked, up to 20 seconds', () => {
+    expect(getRetryDelay({ retryAfterMs: 1500 }, 0)).toBe(1500);
+    expect(getRetryDelay({ retryAfterMs: 0 }, 2)).toBe(0);
+    expect(getRetryDelay({ retryAfterMs: 60000 }, 0)).toBe(20000);
+  });
+
+  test('otherwise waits a random time below 1 s * 2^attempt, up to 20 seconds', () => {
+    Math.random.mockReturnValue(0.999);
+    expect(getRetryDelay({ retryAfterMs: null }, 0)).toBeCloseTo(999);
+    expect(getRetryDelay({ retryAfterMs: null }, 2)).toBeCloseTo(3996);
+    expect(getRetryDelay({ retryAfterMs: null }, 6)).toBe(20000);
+    Math.random.mockReturnValue(0);
+    expect(getRetryDelay({ retryAfterMs: null }, 3)).toBe(0);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * @jest-environment node
+ */
+process.env.OPENAI_API_KEY = 'sk-test';
+process.env.OPENAI_ASSISTANT_ID = 'asst_1';
+const openaiAssistants = require('../lib/providers/openaiAssistants');
+const openaiChat = require('../lib/providers/openaiChat');
+
+// A text/event-stream response holding `events`: [event, data] pairs, or data alone
+const eventStream = (events) =>
+  new Response(
+    events
+      .map((entry) =>
+        Array.isArray(entry) ? `event: ${entry[0]}\ndata: ${JSON.stringify(entry[1])}\n\n` : `data: ${entry}\n\n`
+      )
+      .join(''),
+    { status: 200, headers: { 'Content-Type': 'text/event-stream' } }
+  );
+
+const jsonResponse = (data) =>
+  new Response(JSON.stringify(data), { status: 200, headers: { 'Content-Type': 'application/json' } });
+
+// The event adding `value` to the text of the assistant's message
+const textDelta = (value) => [
+  'thread.message.delta',
+  { id: 'msg_1', delta: { content: [{ index: 0, type: 'text', text: { value } }] } },
+];
+
+// Events of an assistant run streaming "Register by July 1." in two deltas
+const RUN_STARTED = [
+  ['thread.run.created', { id: 'run_1', model: 'gpt-4o', status: 'queued' }],
+  ['thread.run.in_progress', { id: 'run_1', status: 'in_progress' }],
+  textDelta('Register '),
+  textDelta('by July 1.'),
+];
+const RUN_FINISHED = [
+  [
+    'thread.message.completed',
+    { id: 'msg_1', content: [{ type: 'text', text: { value: 'Register by July 1.', annotations: [] } }] },
+  ],
+  ['thread.run.completed', { id: 'run_1', status: 'completed' }],
+  ['done', '[DONE]'],
+];
+
+// Chunks of a chat completion streaming "Register by July 1."
+const completionChunk = (content, finishReason = null) =>
+  JSON.stringify({
+    model: 'gpt-4o-mini',
+    choices: [{ delta: content ? { content } : {}, finish_reason: finishReason }],
+  });
+
+beforeEach(() => {
+  global.fetch = jest.fn(async () => jsonResponse({}));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+describe('openai-assistants streamAnswer()', () => {
+  test('resolves to the answer once the run has completed', async () => {
+    fetch.mockResolvedValueOnce(eventStream([...RUN_STARTED, ...RUN_FINISHED]));
+    const onDelta = jest.fn();
+
+    const result = await openaiAssistants.streamAnswer('thread_1', { onDelta });
+
+    expect(onDelta.mock.calls).toEqual([['Register '], ['by July 1.']]);
+    expect(result).toEqual({
+      text: 'Register by July 1.',
+      images: [],
+      citations: [],
+      model: 'gpt-4o',
+      assistantId: 'asst_1',
+    });
+  });
+
+  test('fails, and cancels the run, when the stream ends before the run has completed', async () => {
+    fetch.mockResolvedValueOnce(eventStream(RUN_STARTED));
+
+    await expect(openaiAssistants.streamAnswer('thread_1', { onDelta: () => {} })).rejects.toMatchObject({
+      runStatus: 'failed',
+      message: 'The assistant ran into a problem and could not answer. Please try again.',
+    });
+    expect(fetch).toHaveBeenLastCalledWith(
+      'https://api.openai.com/v1/threads/thread_1/runs/run_1/cancel',
+      expect.objectContaining({ method: 'POST' })
+    );
+  });
+
+  test('throws the run error of a run that ends without an answer', async () => {
+    fetch.mockResolvedValueOnce(
+      eventStream([...RUN_STARTED, ['thread.run.incomplete', { id: 'run_1', status: 'incomplete' }]])
+    );
+
+    await expect(openaiAssistants.streamAnswer('thread_1', { onDelta: () => {} })).rejects.toMatchObject({
+      runStatus: 'incomplete',
+    });
+  });
+});
+
+describe('openai-chat streamAnswer()', () => {
+  test('resolves to the answer once the model has finished', async () => {
+    fetch.mockResolvedValueOnce(
+      eventStream([
+        completionChunk('Register '),
+        completionChunk('by July 1.'),
+        completionChunk(null, 'stop'),
+        '[DONE]',
+      ])
+    );
+    const conversationId = await openaiChat.createConversation();
+
+    const result = await openaiChat.streamAnswer(conversationId, { onDelta: () => {} });
+
+    expect(result).toMatchObject({ text: 'Register by July 1.', model: 'gpt-4o-mini' });
+  });
+
+  test('fails when the stream ends before the model has finished', async () => {
+    fetch.mockResolvedValueOnce(eventStream([completionChunk('Register '), completionChunk('by July 1.')]));
+    const conversationId = await openaiChat.createConversation();
+
+    await expect(openaiChat.streamAnswer(conversationId, { onDelta: () => {} })).rejects.toMatchObject({
+      runStatus: 'failed',
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const { loadWidget } = require('./helpers/loadWidget');
+const { GUIDANCE, listAnswer, registrationAnswer } = require('./fixtures/assistantOutputs');
+
+const { linkReferences, unifyConsecutiveReferences } = loadWidget();
+
+// Render the superscripts as plain numbers, as exported reports do
+const plainFormat = (indices) => `[${indices.join(',')}]`;
+
+// Parse HTML in the page's document, so links resolve against its URL
+const parse = (html) => {
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  return container;
+};
+
+describe('unifyConsecutiveReferences()', () => {
+  test('merges adjacent markers into one superscript linking each cited passage', () => {
+    const references = [];
+    const html = unifyConsecutiveReferences(registrationAnswer.text, registrationAnswer.citations, references);
+
+    const sup = parse(html).querySelector('sup');
+    expect(sup.textContent).toBe('[1,2]');
+    const pages = [...sup.querySelectorAll('a')].map((link) => new URL(link.href).searchParams.get('page'));
+    expect(pages).toEqual(['151', '147']);
+    expect(html).not.toContain('【');
+  });
+
+  test('collects one reference per distinct passage, in first-cited order', () => {
+    const references = [];
+    unifyConsecutiveReferences(registrationAnswer.text, registrationAnswer.citations, references);
+
+    expect(references).toEqual([
+      {
+        label: `${GUIDANCE} - Page 151, F. When must you register and list under section 607 of the FD&C Act? 1. Registration`,
+        quote: registrationAnswer.citations[0].quote,
+        page: 151,
+      },
+      { label: `${GUIDANCE} - Page 147, 2. Product Listing`, quote: registrationAnswer.citations[1].quote, page: 147 },
+    ]);
+  });
+
+  test('gives markers citing the same passage the same number', () => {
+    const references = [];
+    const text = unifyConsecutiveReferences(listAnswer.text, listAnswer.citations, references, plainFormat);
+
+    expect(text).toContain('Register each facility[1]');
+    expect(text).toContain('List each cosmetic product[2]');
+    expect(text).toContain('Keep the listing current[2,3]');
+    expect(references).toHaveLength(3);
+  });
+
+  test('falls back to a generic, unlinked reference for markers without citation data', () => {
+    const references = [];
+    const html = unifyConsecutiveReferences('Register first【4:9†source】.', [], references);
+
+    expect(references).toEqual([{ label: 'FDA Guidance', quote: '', page: null }]);
+    expect(html).toBe('Register first<sup>[1]</sup>.');
+  });
+
+  test('continues the numbering of an earlier part of the same message', () => {
+    const references = [];
+    unifyConsecutiveReferences('Part one【4:8†source】', registrationAnswer.citations, references, plainFormat);
+    const text = unifyConsecutiveReferences(
+      'Part two【4:14†source】【4:8†source】',
+      registrationAnswer.citations,
+      references,
+      plainFormat
+    );
+
+    expect(text).toBe('Part two[1,2]');
+    expect(references).toHaveLength(2);
+  });
+
+  test('keeps markers separated by text in separate blocks', () => {
+    const text = unifyConsecutiveReferences(
+      'Register【4:8†source】 and list【4:14†source】.',
+      registrationAnswer.citations,
+      [],
+      plainFormat
+    );
+    expect(text).toBe('Register[1] and list[2].');
+  });
+
+  test('leaves text without markers unchanged', () => {
+    const text = 'Square brackets [like these] and 【not a marker】 stay as written.';
+    expect(unifyConsecutiveReferences(text, [], [])).toBe(text);
+  });
+});
+
+describe('linkReferences()', () => {
+  // The text of each link, with the page it opens in the viewer
+  const readLinks = (html) =>
+    [...parse(html).querySelectorAll('a')].map((link) => ({
+      text: link.textContent.trim(),
+      page: new URL(link.href).searchParams.get('page'),
+    }));
+
+  test('links a "See ... - Page" reference to that page of the guidance', () => {
+    const html = linkReferences('See Registration Guidance - Page 12.');
+    expect(readLinks(html)).toEqual([{ text: 'See Registration Guidance - Page 12', page: '12' }]);
+    expect(html).toMatch(/<\/a>\.$/);
+  });
+
+  test('accepts "Refer to" and "For" in any case', () => {
+    expect(readLinks(linkReferences('refer to Product Listing - Page 147'))).toEqual([
+      { text: 'refer to Product Listing - Page 147', page: '147' },
+    ]);
+    expect(readLinks(linkReferences('FOR Registration - Page 151'))).toEqual([
+      { text: 'FOR Registration - Page 151', page: '151' },
+    ]);
+  });
+
+  test('starts the link at the reference nearest to " - Page", not the first lead word', () => {
+    const html = linkReferences('For new facilities, see Registration Guidance - Page 12');
+    expect(readLinks(html)).toEqual([{ text: 'see Registration Guidance - Page 12', page: '12' }]);
+    expect(html.startsWith('For new facilities, <a')).toBe(true);
+  });
+
+  test('only starts a reference at a whole word', () => {
+    const html = linkReferences('Before you list, Refer to Product Listing - Page 147');
+    expect(readLinks(html)).toEqual([{ text: 'Refer to Product Listing - Page 147', page: '147' }]);
+  });
+
+  test('ends a trailing section at its number, leaving the rest of the sentence as text', () => {
+    const html = linkReferences('See Registration Guidance - Page 12, Section 4.8. Then list your products.');
+    expect(readLinks(html)).toEqual([{ text: 'See Registration Guidance - Page 12, Section 4.8', page: '12' }]);
+    expect(html).toMatch(/<\/a>\. Then list your products\.$/);
+  });
+
+  test('links every reference in the text', () => {
+    const html = linkReferences('See Registration - Page 151 and see Product Listing - Page 147.');
+    expect(readLinks(html).map(({ page }) => page)).toEqual(['151', '147']);
+  });
+
+  test('never spans HTML tags', () => {
+    const text = 'See <strong>Registration</strong> - Page 151';
+    expect(linkReferences(text)).toBe(text);
+  });
+
+  test('leaves text without a page reference unchanged', () => {
+    const text = 'See the Registration Guidance for details - it covers facilities.';
+    expect(linkReferences(text)).toBe(text);
+  });
+});
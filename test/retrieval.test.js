@@ -0,0 +1,121 @@
+/**
+ * @jest-environment node
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { formatSourcesForPrompt, getIndexVersion, locateQuote, search } = require('../lib/retrieval');
+
+const CHUNKS = [
+  {
+    id: 'p3-c1',
+    page: 3,
+    section: 'I. Introduction',
+    text: 'The Modernization of Cosmetics Regulation Act of 2022 (MoCRA) was signed into law on December 29, 2022.',
+  },
+  {
+    id: 'p12-c2',
+    page: 12,
+    section: 'III. Facility Registration',
+    text: 'Every person that owns or operates a facility that manufactures or processes cosmetic products for distribution in the United States must register each facility with FDA. Facility registrations must be renewed every two years.',
+  },
+  {
+    id: 'p20-c3',
+    page: 20,
+    section: 'IV. Product Listing',
+    text: 'The responsible person must submit a listing for each cosmetic product, including its ingredients, and update the listing annually.',
+  },
+  {
+    id: 'p21-c4',
+    page: 21,
+    section: 'IV. Product Listing',
+    text: 'A listing may cover multiple cosmetic products with the same formulation that differ only in colors, fragrances or flavors.',
+  },
+];
+
+const indexDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pfda-index-'));
+const indexPath = path.join(indexDir, 'guidance-index.json');
+const missingPath = path.join(indexDir, 'missing.json');
+
+const writeIndex = (version, chunks) => fs.writeFileSync(indexPath, JSON.stringify({ version, chunks }));
+
+beforeEach(() => {
+  writeIndex('v1', CHUNKS);
+});
+
+afterAll(() => {
+  fs.rmSync(indexDir, { recursive: true, force: true });
+});
+
+describe('search()', () => {
+  test('ranks the chunks that match the question best first', () => {
+    const results = search('Who must register a cosmetic facility?', { indexPath });
+
+    expect(results.map(({ id }) => id)).toEqual(['p12-c2', 'p20-c3', 'p21-c4']);
+    expect(results[0]).toMatchObject({ page: 12, section: 'III. Facility Registration' });
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+
+  test('weighs rare terms above terms every chunk shares', () => {
+    // "cosmetic" is in three chunks, "formulation" in one
+    const [best] = search('cosmetic cosmetic formulation', { indexPath });
+
+    expect(best.id).toBe('p21-c4');
+  });
+
+  test('matches the section title as well as the text', () => {
+    expect(search('introduction', { indexPath }).map(({ id }) => id)).toEqual(['p3-c1']);
+  });
+
+  test('returns at most `limit` chunks', () => {
+    expect(search('cosmetic listing facility', { indexPath, limit: 2 })).toHaveLength(2);
+  });
+
+  test('finds nothing for a question of common words only, or without an index', () => {
+    expect(search('What is it and how do I do it?', { indexPath })).toEqual([]);
+    expect(search('Who must register?', { indexPath: missingPath })).toEqual([]);
+  });
+
+  test('picks up a re-ingested index without a restart', () => {
+    expect(getIndexVersion(indexPath)).toBe('v1');
+
+    writeIndex('v2', [{ ...CHUNKS[1], id: 'p40-c1', page: 40 }]);
+    const later = new Date(Date.now() + 60000);
+    fs.utimesSync(indexPath, later, later);
+
+    expect(getIndexVersion(indexPath)).toBe('v2');
+    expect(search('register facility', { indexPath }).map(({ page }) => page)).toEqual([40]);
+    expect(getIndexVersion(missingPath)).toBeNull();
+  });
+});
+
+describe('locateQuote()', () => {
+  test('finds the page of a verbatim quote, ignoring case, line breaks and a trailing ellipsis', () => {
+    expect(locateQuote('must register each\nfacility with fda…', { indexPath })).toEqual({
+      page: 12,
+      section: 'III. Facility Registration',
+    });
+  });
+
+  test('finds the page of a reworded quote that shares most of its terms with one chunk', () => {
+    expect(locateQuote('Facility registration is renewed every two years', { indexPath })).toEqual({
+      page: 12,
+      section: 'III. Facility Registration',
+    });
+  });
+
+  test('returns null for a quote the guidance does not contain, or without an index', () => {
+    expect(locateQuote('Sunscreens are regulated as drugs under a monograph', { indexPath })).toBeNull();
+    expect(locateQuote('must register each facility with FDA', { indexPath: missingPath })).toBeNull();
+  });
+});
+
+describe('formatSourcesForPrompt()', () => {
+  test('asks for used excerpts in the "sections" of the structured answer, not for prose page references', () => {
+    const prompt = formatSourcesForPrompt([CHUNKS[1]]);
+
+    expect(prompt).toContain('add its section and page, as given in its heading, to "sections"');
+    expect(prompt).toContain(`[Page 12, III. Facility Registration]\n${CHUNKS[1].text}`);
+    expect(prompt).not.toMatch(/See <section>/);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * @jest-environment node
+ */
+const { RUN_TIMEOUT_MS, checkRunStatus, waitForRun } = require('../lib/runs');
+
+const CANCEL_PATH = '/threads/thread_1/runs/run_1/cancel';
+
+// A fake openaiRequest(): polls get a run with each of `statuses` in turn, cancels succeed
+const fakeRequest = (...statuses) =>
+  jest.fn(async (path) => (path.endsWith('/cancel') ? {} : { id: 'run_1', status: statuses.shift() }));
+
+// A fake openaiRequest() whose polls never answer (like one stuck retrying), until aborted
+const hangingRequest = () =>
+  jest.fn((path, { signal } = {}) =>
+    path.endsWith('/cancel')
+      ? Promise.resolve({})
+      : new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)))
+  );
+
+const run = (status, extra = {}) => ({ id: 'run_1', status, ...extra });
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('checkRunStatus()', () => {
+  test('is true for a completed run and false while it is still going', () => {
+    expect(checkRunStatus('thread_1', run('completed'))).toBe(true);
+    ['queued', 'in_progress', 'cancelling'].forEach((status) =>
+      expect(checkRunStatus('thread_1', run(status))).toBe(false)
+    );
+  });
+
+  test.each([
+    ['failed', 'The assistant ran into a problem and could not answer. Please try again.'],
+    ['cancelled', 'The response was cancelled before the assistant finished.'],
+    ['expired', 'The assistant took too long and the request expired. Please try again.'],
+    [
+      'incomplete',
+      'The assistant stopped before finishing its answer (it may have reached its length limit). Try asking a narrower question.',
+    ],
+  ])('throws an error carrying the run status for a %s run', (status, message) => {
+    const request = fakeRequest();
+
+    expect(() => checkRunStatus('thread_1', run(status), request)).toThrow(
+      expect.objectContaining({ runStatus: status, message })
+    );
+    expect(request).not.toHaveBeenCalled();
+  });
+
+  test('cancels a run that requires a tool call', () => {
+    const request = fakeRequest();
+
+    expect(() => checkRunStatus('thread_1', run('requires_action'), request)).toThrow(
+      expect.objectContaining({ runStatus: 'requires_action' })
+    );
+    expect(request).toHaveBeenCalledWith(CANCEL_PATH, { method: 'POST' });
+  });
+
+  test('treats an unknown status as a failure', () => {
+    expect(() => checkRunStatus('thread_1', run('paused'))).toThrow(
+      'The assistant ran into a problem and could not answer. Please try again.'
+    );
+  });
+});
+
+describe('waitForRun()', () => {
+  test('polls with backoff until the run completes', async () => {
+    const request = fakeRequest('in_progress', 'completed');
+    const waiting = waitForRun('thread_1', run('queued'), { request });
+
+    await jest.advanceTimersByTimeAsync(500);
+    expect(request).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(999);
+    expect(request).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+
+    await expect(waiting).resolves.toEqual(run('completed'));
+    expect(request).toHaveBeenCalledTimes(2);
+    expect(request).toHaveBeenCalledWith('/threads/thread_1/runs/run_1', { signal: expect.any(AbortSignal) });
+  });
+
+  test('throws the run error of a run that ends without an answer', async () => {
+    const request = fakeRequest('expired');
+    const waiting = waitForRun('thread_1', run('in_progress'), { request });
+    const expectation = expect(waiting).rejects.toMatchObject({ runStatus: 'expired' });
+
+    await jest.advanceTimersByTimeAsync(500);
+
+    await expectation;
+    expect(request).not.toHaveBeenCalledWith(CANCEL_PATH, expect.anything());
+  });
+
+  test('cancels a run still going at the timeout', async () => {
+    const request = fakeRequest(...Array(10).fill('in_progress'));
+    const waiting = waitForRun('thread_1', run('queued'), { request, timeoutMs: 3000 });
+    const expectation = expect(waiting).rejects.toMatchObject({ runStatus: 'timeout' });
+
+    await jest.advanceTimersByTimeAsync(3000);
+
+    await expectation;
+    expect(request).toHaveBeenCalledWith(CANCEL_PATH, { method: 'POST' });
+  });
+
+  test('stops a poll that is still retrying at the timeout', async () => {
+    const request = hangingRequest();
+    const waiting = waitForRun('thread_1', run('queued'), { request, timeoutMs: 2000 });
+    const expectation = expect(waiting).rejects.toMatchObject({ runStatus: 'timeout' });
+
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(request).not.toHaveBeenCalledWith(CANCEL_PATH, expect.anything());
+    await jest.advanceTimersByTimeAsync(1);
+
+    await expectation;
+    expect(request).toHaveBeenCalledWith(CANCEL_PATH, { method: 'POST' });
+  });
+
+  test('cancels the run and rethrows when the caller aborts', async () => {
+    const request = hangingRequest();
+    const controller = new AbortController();
+    const waiting = waitForRun('thread_1', run('queued'), { request, signal: controller.signal });
+    const expectation = expect(waiting).rejects.toThrow('Stopped by the user');
+
+    await jest.advanceTimersByTimeAsync(500);
+    controller.abort(new Error('Stopped by the user'));
+
+    await expectation;
+    expect(request).toHaveBeenCalledWith(CANCEL_PATH, { method: 'POST' });
+  });
+
+  test('gives a run RUN_TIMEOUT_MS by default', async () => {
+    const request = hangingRequest();
+    const waiting = waitForRun('thread_1', run('queued'), { request });
+    const expectation = expect(waiting).rejects.toMatchObject({ runStatus: 'timeout' });
+
+    await jest.advanceTimersByTimeAsync(RUN_TIMEOUT_MS);
+
+    await expectation;
+  });
+});
@@ -0,0 +1,110 @@
+const { loadWidget } = require('./helpers/loadWidget');
+const {
+  injectedAnswer,
+  listAnswer,
+  localSourceAnswer,
+  registrationAnswer,
+} = require('./fixtures/assistantOutputs');
+
+const { sanitizeAssistantResponse } = loadWidget();
+
+// Parse HTML in the page's document, so links resolve against its URL
+const parse = (html) => {
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  return container;
+};
+
+describe('sanitizeAssistantResponse()', () => {
+  test('renders an Assistants answer with cited superscripts and a linked page reference', () => {
+    const { html, references } = sanitizeAssistantResponse(registrationAnswer.text, registrationAnswer.citations);
+    const body = parse(html);
+
+    expect(body.querySelector('sup').textContent).toBe('[1,2]');
+    expect(body.textContent).not.toContain('【');
+    const pageLink = [...body.querySelectorAll('a')].find((link) => link.textContent.includes('See Registration'));
+    expect(new URL(pageLink.href).searchParams.get('page')).toBe('12');
+    expect(references.map(({ page }) => page)).toEqual([151, 147]);
+  });
+
+  test('renders markdown lists with the citations of each item', () => {
+    const { html } = sanitizeAssistantResponse(listAnswer.text, listAnswer.citations);
+    const body = parse(html);
+
+    expect(body.querySelector('strong').textContent).toBe('MoCRA');
+    const items = [...body.querySelectorAll('ol > li')].map((item) => item.textContent);
+    expect(items).toEqual(['Register each facility[1]', 'List each cosmetic product[2]', 'Keep the listing current[2,3]']);
+  });
+
+  test('cites passages retrieved from the local index', () => {
+    const { html, references } = sanitizeAssistantResponse(localSourceAnswer.text, localSourceAnswer.citations);
+
+    const link = parse(html).querySelector('sup a');
+    const params = new URL(link.href).searchParams;
+    expect(params.get('page')).toBe('152');
+    expect(params.get('q')).toBe(localSourceAnswer.citations[0].quote);
+    expect(references[0].label).toBe(
+      'MERGED_cosmetic_guidances.pdf - Page 152, G. What if my product is both a drug and a cosmetic product?'
+    );
+  });
+
+  test('removes scripts, event handlers and javascript: links', () => {
+    const { html } = sanitizeAssistantResponse(injectedAnswer.text, injectedAnswer.citations);
+    const body = parse(html);
+
+    expect(body.querySelector('script')).toBeNull();
+    expect(html).not.toMatch(/onerror|javascript:|alert\(1\)/);
+    expect(body.querySelector('sup').textContent).toBe('[1]');
+  });
+
+  test('keeps square-bracketed text and markdown links as written', () => {
+    const { html } = sanitizeAssistantResponse('Check [Page 12] of [the guidance](https://www.fda.gov/cosmetics).', []);
+    const body = parse(html);
+
+    expect(body.textContent.trim()).toBe('Check [Page 12] of the guidance.');
+    const link = body.querySelector('a');
+    expect(link.href).toBe('https://www.fda.gov/cosmetics');
+    expect(link.target).toBe('_blank');
+    expect(link.rel).toBe('noopener noreferrer');
+  });
+
+  test('never rewrites markers inside tag attributes', () => {
+    const { html } = sanitizeAssistantResponse('[the guidance](https://www.fda.gov/?a=【4:8†source】)', []);
+    const link = parse(html).querySelector('a');
+
+    expect(link.href).toContain(encodeURI('【4:8†source】'));
+    expect(link.textContent).toBe('the guidance');
+  });
+
+  test('does not nest links inside the label of a markdown link', () => {
+    const { html, references } = sanitizeAssistantResponse(
+      '[See Registration Guidance - Page 12【4:8†source】](https://www.fda.gov/cosmetics)',
+      registrationAnswer.citations
+    );
+    const links = parse(html).querySelectorAll('a');
+
+    expect(links).toHaveLength(1);
+    expect(links[0].textContent).toBe('See Registration Guidance - Page 12[1]');
+    expect(references).toHaveLength(1);
+  });
+
+  test('continues numbering across parts of one message through `references`', () => {
+    const references = [];
+    sanitizeAssistantResponse('First【4:8†source】', registrationAnswer.citations, references);
+    const { html } = sanitizeAssistantResponse('Second【4:14†source】', registrationAnswer.citations, references);
+
+    expect(parse(html).querySelector('sup').textContent).toBe('[2]');
+    expect(references).toHaveLength(2);
+  });
+
+  test('falls back to escaped text when the markdown libraries did not load', () => {
+    const { marked } = window;
+    delete window.marked;
+    try {
+      const { html } = sanitizeAssistantResponse('<b>Register</b>\nby **2023**【4:8†source】', registrationAnswer.citations);
+      expect(html).toMatch(/^&lt;b&gt;Register&lt;\/b&gt;<br>by \*\*2023\*\*<sup>\[<a /);
+    } finally {
+      window.marked = marked;
+    }
+  });
+});
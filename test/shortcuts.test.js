@@ -0,0 +1,208 @@
+const { loadWidget } = require('./helpers/loadWidget');
+
+const { PrecisionFDAChat } = loadWidget();
+
+// The widget added by init(), its shadow root, chatbox and shortcuts overlay
+const getRoot = () => document.querySelector('pfda-chat').shadowRoot;
+const getChatbox = () => getRoot().querySelector('button').nextElementSibling;
+const getOverlay = () => getRoot().querySelector('[role="dialog"][aria-modal="true"]').parentNode;
+const getInput = () => getChatbox().querySelector('input[aria-label="Message"]');
+
+// Press keys on an element, as the browser would: the event bubbles out of the shadow root
+const pressKey = (element, key, options = {}) =>
+  element.dispatchEvent(
+    new KeyboardEvent('keydown', { key, bubbles: true, composed: true, cancelable: true, ...options })
+  );
+
+// The keys shown for each shortcut in the overlay
+const readShortcutList = () =>
+  Object.fromEntries(
+    [...getOverlay().querySelectorAll('tr')].map((row) => [
+      row.querySelector('th').textContent,
+      row.querySelector('kbd').textContent,
+    ])
+  );
+
+afterEach(() => {
+  PrecisionFDAChat.destroy();
+  localStorage.clear();
+  document.body.innerHTML = '';
+});
+
+describe('keyboard shortcuts', () => {
+  test('open the chat from anywhere on the page', () => {
+    PrecisionFDAChat.init();
+
+    pressKey(document.body, 'N', { shiftKey: true });
+
+    expect(getChatbox().style.display).toBe('block');
+    expect(getRoot().activeElement).toBe(getInput());
+  });
+
+  test('are ignored while typing in the chat or a host page field', () => {
+    const confirm = jest.spyOn(window, 'confirm').mockImplementation(() => true);
+    document.body.innerHTML = '<input id="host-search">';
+    PrecisionFDAChat.init({ startOpen: true });
+
+    pressKey(getInput(), 'C', { shiftKey: true });
+    pressKey(document.getElementById('host-search'), 'N', { shiftKey: true });
+
+    expect(confirm).not.toHaveBeenCalled();
+    expect(getChatbox().style.display).toBe('block');
+    confirm.mockRestore();
+  });
+
+  test('work in a text field when Alt or Ctrl is held', () => {
+    PrecisionFDAChat.init({ shortcuts: { toggleChat: 'Alt+N' } });
+    document.body.insertAdjacentHTML('beforeend', '<textarea id="host-notes"></textarea>');
+
+    pressKey(document.getElementById('host-notes'), '˜', { altKey: true, code: 'KeyN' });
+
+    expect(getChatbox().style.display).toBe('block');
+  });
+
+  test('need Shift for letters, so Caps Lock typing does not trigger them', () => {
+    PrecisionFDAChat.init();
+    pressKey(document.body, 'N');
+    expect(getChatbox().style.display).toBe('none');
+  });
+
+  test('take their keys from the shortcuts option', () => {
+    PrecisionFDAChat.init({ shortcuts: { toggleChat: 'Ctrl+K' } });
+
+    pressKey(document.body, 'N', { shiftKey: true });
+    expect(getChatbox().style.display).toBe('none');
+    pressKey(document.body, 'k', { ctrlKey: true });
+    expect(getChatbox().style.display).toBe('block');
+  });
+
+  test('act on one widget of a page: the one used last, else the one added last', () => {
+    document.body.innerHTML = '<pfda-chat storage-key="first"></pfda-chat><pfda-chat storage-key="second"></pfda-chat>';
+    const [first, second] = [...document.querySelectorAll('pfda-chat')].map((element) => ({
+      button: element.shadowRoot.querySelector('button'),
+      chatbox: element.shadowRoot.querySelector('button').nextElementSibling,
+    }));
+
+    pressKey(document.body, 'N', { shiftKey: true });
+    expect(first.chatbox.style.display).toBe('none');
+    expect(second.chatbox.style.display).toBe('block');
+
+    pressKey(first.button, 'N', { shiftKey: true });
+    expect(first.chatbox.style.display).toBe('block');
+    expect(second.chatbox.style.display).toBe('block');
+
+    first.button.focus();
+    pressKey(document.body, '!');
+    expect(first.button.style.display).toBe('none');
+    expect(second.button.style.display).toBe('flex');
+  });
+
+  test('stop listening once every widget is removed', () => {
+    const removeEventListener = jest.spyOn(document, 'removeEventListener');
+    document.body.innerHTML = '<pfda-chat storage-key="first"></pfda-chat><pfda-chat storage-key="second"></pfda-chat>';
+    const [first, second] = document.querySelectorAll('pfda-chat');
+
+    first.remove();
+    expect(removeEventListener).not.toHaveBeenCalledWith('keydown', expect.any(Function));
+    second.remove();
+    expect(removeEventListener).toHaveBeenCalledWith('keydown', expect.any(Function));
+    removeEventListener.mockRestore();
+  });
+
+  test('reject an unknown action in the shortcuts option', () => {
+    expect(() => PrecisionFDAChat.init({ shortcuts: { openChat: 'Ctrl+K' } })).toThrow(
+      'PrecisionFDAChat: unknown shortcut "openChat"; shortcuts are toggleChat, clearChat, toggleExpand, toggleWidget, toggleHistory, showShortcuts.'
+    );
+  });
+});
+
+describe('shortcuts overlay', () => {
+  test('lists every shortcut when "?" is pressed, and closes on Escape', () => {
+    PrecisionFDAChat.init();
+
+    pressKey(document.body, '?', { shiftKey: true });
+
+    expect(getOverlay().style.display).toBe('flex');
+    expect(readShortcutList()).toEqual({
+      'Open or close the chat': 'Shift+N',
+      'Clear the chat': 'Shift+C',
+      'Expand or shrink the chat': '|',
+      'Hide or show the chat button': '!',
+      'Show or hide conversation history': '}',
+      'Show keyboard shortcuts': '?',
+    });
+    expect(getRoot().activeElement).toBe(getOverlay().querySelector('[data-action="toggleChat"]'));
+
+    pressKey(getRoot().activeElement, 'Escape');
+    expect(getOverlay().style.display).toBe('none');
+  });
+
+  test('gives a shortcut new keys, remembered across page loads', () => {
+    PrecisionFDAChat.init();
+    pressKey(document.body, '?');
+    const changeButton = getOverlay().querySelector('[data-action="toggleChat"]');
+
+    changeButton.click();
+    const recording = getRoot().activeElement;
+    expect(recording.textContent).toBe('Press keys...');
+    pressKey(recording, 'Shift', { shiftKey: true });
+    pressKey(recording, 'h', { ctrlKey: true, altKey: true });
+
+    expect(readShortcutList()['Open or close the chat']).toBe('Ctrl+Alt+H');
+    expect(getOverlay().querySelector('[role="status"]').textContent).toBe('Open or close the chat is now Ctrl+Alt+H.');
+    expect(getChatbox().style.display).toBe('none');
+    expect(JSON.parse(localStorage.getItem('pfdaShortcuts'))).toEqual({ toggleChat: 'Ctrl+Alt+H' });
+
+    PrecisionFDAChat.init();
+    pressKey(document.body, 'N', { shiftKey: true });
+    expect(getChatbox().style.display).toBe('none');
+    pressKey(document.body, 'h', { ctrlKey: true, altKey: true });
+    expect(getChatbox().style.display).toBe('block');
+  });
+
+  test('remembers only the shortcuts given new keys, so the others follow the shortcuts option', () => {
+    PrecisionFDAChat.init({ shortcuts: { clearChat: 'Ctrl+K' } });
+    pressKey(document.body, '?');
+    getOverlay().querySelector('[data-action="toggleChat"]').click();
+    pressKey(getRoot().activeElement, 'h', { ctrlKey: true, altKey: true });
+
+    PrecisionFDAChat.init({ shortcuts: { clearChat: 'Ctrl+L' } });
+    pressKey(document.body, '?');
+    expect(readShortcutList()).toMatchObject({ 'Open or close the chat': 'Ctrl+Alt+H', 'Clear the chat': 'Ctrl+L' });
+
+    // Going back to the configured keys leaves nothing to remember
+    getOverlay().querySelector('[data-action="toggleChat"]').click();
+    pressKey(getRoot().activeElement, 'N', { shiftKey: true });
+    expect(localStorage.getItem('pfdaShortcuts')).toBeNull();
+  });
+
+  test('refuses keys another shortcut already uses', () => {
+    PrecisionFDAChat.init();
+    pressKey(document.body, '?');
+
+    getOverlay().querySelector('[data-action="toggleChat"]').click();
+    pressKey(getRoot().activeElement, '}', { shiftKey: true });
+
+    expect(getOverlay().querySelector('[role="status"]').textContent).toBe(
+      '} already does "Show or hide conversation history". Press other keys.'
+    );
+    expect(readShortcutList()['Open or close the chat']).toBe('Shift+N');
+  });
+
+  test('cancels recording on Escape and can reset every shortcut', () => {
+    PrecisionFDAChat.init();
+    pressKey(document.body, '?');
+    getOverlay().querySelector('[data-action="clearChat"]').click();
+    pressKey(getRoot().activeElement, 'Escape');
+    expect(getOverlay().style.display).toBe('flex');
+    expect(readShortcutList()['Clear the chat']).toBe('Shift+C');
+
+    getOverlay().querySelector('[data-action="clearChat"]').click();
+    pressKey(getRoot().activeElement, 'x', { altKey: true, code: 'KeyX' });
+    expect(readShortcutList()['Clear the chat']).toBe('Alt+X');
+    [...getOverlay().querySelectorAll('button')].find((button) => button.textContent === 'Reset to defaults').click();
+
+    expect(readShortcutList()['Clear the chat']).toBe('Shift+C');
+    expect(localStorage.getItem('pfdaShortcuts')).toBeNull();
+  });
+});
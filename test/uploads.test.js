@@ -0,0 +1,31 @@
+/**
+ * @jest-environment node
+ */
+const { UPLOAD_TYPES, getUploadType, isFileId } = require('../lib/uploads');
+
+describe('getUploadType()', () => {
+  test('accepts the attachment types by extension, in any case', () => {
+    expect(getUploadType('label draft.PDF')).toBe(UPLOAD_TYPES.pdf);
+    expect(getUploadType('ingredients.v2.csv')).toEqual({ mimeType: 'text/csv', tool: 'code_interpreter' });
+  });
+
+  test('rejects other extensions and names without one', () => {
+    ['setup.exe', 'pdf', '.pdf', 'notes.', '', null, undefined].forEach((name) => {
+      expect(getUploadType(name)).toBeNull();
+    });
+  });
+
+  test('rejects extensions that are only Object properties', () => {
+    ['notes.constructor', 'notes.toString', 'notes.__proto__', 'notes.hasOwnProperty'].forEach((name) => {
+      expect(getUploadType(name)).toBeNull();
+    });
+  });
+});
+
+describe('isFileId()', () => {
+  test('accepts OpenAI file IDs only', () => {
+    expect(isFileId('file-abc123')).toBe(true);
+    expect(isFileId('file-../../etc')).toBe(false);
+    expect(isFileId(42)).toBe(false);
+  });
+});